@@ -0,0 +1,74 @@
+/**
+ * Local mock of the remote signing service used by SIGNER_TYPE=remote.
+ * Development only: the key lives in this process instead of a real signer.
+ *
+ *   MOCK_SIGNER_PRIVATE_KEY=0x... MOCK_SIGNER_TOKEN=secret npm run mock-signer
+ *   SIGNER_TYPE=remote SIGNER_REMOTE_URL=http://localhost:8600 SIGNER_REMOTE_TOKEN=secret npm start
+ */
+require('dotenv').config();
+const http = require('http');
+const { ethers } = require('ethers');
+
+const port = parseInt(process.env.MOCK_SIGNER_PORT || '8600');
+const token = process.env.MOCK_SIGNER_TOKEN;
+const wallet = process.env.MOCK_SIGNER_PRIVATE_KEY
+  ? new ethers.Wallet(process.env.MOCK_SIGNER_PRIVATE_KEY)
+  : ethers.Wallet.createRandom();
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} - Parsed body
+ */
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(data || '{}'));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  if (token && req.headers.authorization !== `Bearer ${token}`) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  
+  try {
+    if (req.method === 'GET' && req.url === '/address') {
+      return sendJson(res, 200, { address: wallet.address });
+    }
+    
+    if (req.method === 'POST' && req.url === '/sign') {
+      const { transaction } = await readJson(req);
+      const signedTx = await wallet.signTransaction(ethers.Transaction.from(transaction));
+      console.log(`Signed ${ethers.Transaction.from(signedTx).hash}`);
+      return sendJson(res, 200, { signedTx });
+    }
+    
+    sendJson(res, 404, { error: 'Not found' });
+  } catch (error) {
+    sendJson(res, 400, { error: error.message });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Mock signer for ${wallet.address} listening on http://localhost:${port}`);
+});
@@ -0,0 +1,232 @@
+const Decimal = require('decimal.js');
+
+// In-memory stand-in for the database: rows live in maps, a locking read holds the row
+// until the owning transaction ends (like SELECT ... FOR UPDATE) and a failed transaction
+// undoes its writes. Postgres row locking itself is not exercised: these tests only check
+// that ledger.post locks the user balance row, in chat ID order, and re-checks the balance
+// under that lock before debiting it.
+const mockDb = {
+  locks: new Map(),
+  balances: new Map(),
+  balanceHistory: [],
+  quotes: new Map(),
+  transactions: [],
+  ledgerEntries: [],
+  nextId: 1
+};
+
+// Yield to the other requests between a query running and its result arriving, as a database round-trip would
+function mockRoundTrip() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+async function mockLock(key, t) {
+  while (mockDb.locks.has(key) && mockDb.locks.get(key).owner !== t) {
+    await mockDb.locks.get(key).released;
+  }
+  
+  if (!mockDb.locks.has(key)) {
+    let release;
+    const released = new Promise(resolve => { release = resolve; });
+    mockDb.locks.set(key, { owner: t, released, release });
+    t.heldLocks.push(key);
+  }
+}
+
+function mockBalanceRow(chatId) {
+  return {
+    chatId,
+    balance: mockDb.balances.get(chatId),
+    async save({ transaction }) {
+      const previous = mockDb.balances.get(chatId);
+      mockDb.balances.set(chatId, this.balance);
+      mockDb.balanceHistory.push(this.balance);
+      transaction.undo.push(() => mockDb.balances.set(chatId, previous));
+      await mockRoundTrip();
+    }
+  };
+}
+
+function mockQuoteRow(id) {
+  return {
+    ...mockDb.quotes.get(id),
+    isExecutable() {
+      return this.status === 'open';
+    },
+    async save({ transaction }) {
+      const previous = mockDb.quotes.get(id);
+      mockDb.quotes.set(id, { ...previous, status: this.status, transactionId: this.transactionId });
+      transaction.undo.push(() => mockDb.quotes.set(id, previous));
+      await mockRoundTrip();
+    }
+  };
+}
+
+async function mockCreateTransaction(values, { transaction }) {
+  const row = { id: mockDb.nextId++, ...values };
+  mockDb.transactions.push(row);
+  transaction.undo.push(() => mockDb.transactions.splice(mockDb.transactions.indexOf(row), 1));
+  await mockRoundTrip();
+  return row;
+}
+
+jest.mock('../config/database', () => ({
+  sequelize: {
+    async transaction(fn) {
+      const t = { LOCK: { UPDATE: 'UPDATE' }, heldLocks: [], undo: [] };
+      try {
+        return await fn(t);
+      } catch (error) {
+        t.undo.reverse().forEach(undo => undo());
+        throw error;
+      } finally {
+        for (const key of t.heldLocks) {
+          const lock = mockDb.locks.get(key);
+          mockDb.locks.delete(key);
+          lock.release();
+        }
+      }
+    }
+  }
+}));
+
+jest.mock('../models/UserBalance', () => ({
+  async findOrCreate({ where: { chatId } }) {
+    await mockRoundTrip();
+    return [mockBalanceRow(chatId), false];
+  },
+  async findByPk(chatId, { transaction, lock } = {}) {
+    if (lock) {
+      await mockLock(`user_balances:${chatId}`, transaction);
+    }
+    const row = mockBalanceRow(chatId);
+    await mockRoundTrip();
+    return row;
+  }
+}));
+
+jest.mock('../models/LedgerEntry', () => ({
+  async bulkCreate(entries, { transaction }) {
+    mockDb.ledgerEntries.push(...entries);
+    transaction.undo.push(() => {
+      mockDb.ledgerEntries = mockDb.ledgerEntries.filter(entry => !entries.includes(entry));
+    });
+    await mockRoundTrip();
+  }
+}));
+
+jest.mock('../models/Transaction', () => ({
+  createWithdrawal: (chatId, amount, walletAddress, fee, status, options) =>
+    mockCreateTransaction({ type: 'withdrawal', chatId, amount, walletAddress, fee, status }, options),
+  createExchange: (quote, options) =>
+    mockCreateTransaction({ type: 'exchange', chatId: quote.chatId, amount: quote.amount, status: 'pending' }, options)
+}));
+
+jest.mock('../models/ExchangeQuote', () => ({
+  async findByPk(id, { transaction, lock } = {}) {
+    if (lock) {
+      await mockLock(`exchange_quotes:${id}`, transaction);
+    }
+    const row = mockDb.quotes.has(id) ? mockQuoteRow(id) : null;
+    await mockRoundTrip();
+    return row;
+  }
+}));
+
+jest.mock('../models/TransactionEvent', () => ({
+  create: async () => ({})
+}));
+
+jest.mock('../models/User', () => ({}));
+jest.mock('../models/ExchangeRate', () => ({}));
+jest.mock('../models/UnmatchedDeposit', () => ({}));
+jest.mock('../services/blockchain', () => ({}));
+jest.mock('../services/notification', () => ({
+  notifyUser: jest.fn(),
+  notifyAdmin: jest.fn()
+}));
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const ledgerService = require('../services/ledger');
+const withdrawalService = require('../services/withdrawal');
+const exchangeService = require('../services/exchange');
+
+const { InsufficientBalanceError } = ledgerService;
+
+const CHAT_ID = '1001';
+const PARALLEL_REQUESTS = 5;
+
+function expectBalanceNeverNegative() {
+  for (const balance of mockDb.balanceHistory) {
+    expect(new Decimal(balance).isNegative()).toBe(false);
+  }
+}
+
+beforeEach(() => {
+  mockDb.locks.clear();
+  mockDb.balances.clear();
+  mockDb.balanceHistory = [];
+  mockDb.quotes.clear();
+  mockDb.transactions = [];
+  mockDb.ledgerEntries = [];
+  mockDb.nextId = 1;
+  
+  mockDb.balances.set(CHAT_ID, '100.000000');
+});
+
+describe('concurrent debits of one user balance', () => {
+  test('only one of several parallel withdrawals of the whole balance succeeds', async () => {
+    const results = await Promise.allSettled(
+      Array.from({ length: PARALLEL_REQUESTS }, () =>
+        withdrawalService.createWithdrawal(CHAT_ID, '100', '0x000000000000000000000000000000000000dEaD', '0')
+      )
+    );
+    
+    const succeeded = results.filter(result => result.status === 'fulfilled');
+    const failed = results.filter(result => result.status === 'rejected');
+    
+    expect(succeeded).toHaveLength(1);
+    expect(failed).toHaveLength(PARALLEL_REQUESTS - 1);
+    for (const result of failed) {
+      expect(result.reason).toBeInstanceOf(InsufficientBalanceError);
+    }
+    
+    expect(mockDb.balances.get(CHAT_ID)).toBe('0.000000');
+    expectBalanceNeverNegative();
+    expect(mockDb.transactions).toHaveLength(1);
+  });
+  
+  test('only one of several parallel quote acceptances of the whole balance succeeds', async () => {
+    const expiresAt = new Date(Date.now() + 60 * 1000);
+    for (let id = 1; id <= PARALLEL_REQUESTS; id++) {
+      mockDb.quotes.set(id, { id, chatId: CHAT_ID, amount: '100.000000', status: 'open', expiresAt });
+    }
+    
+    const postExchange = jest.spyOn(ledgerService, 'postExchange');
+    
+    const results = await Promise.all(
+      Array.from({ length: PARALLEL_REQUESTS }, (_, index) => exchangeService.acceptQuote(CHAT_ID, index + 1))
+    );
+    
+    expect(results.filter(result => result.success)).toHaveLength(1);
+    
+    // acceptQuote reports the failure as a result, so check what the ledger threw
+    const postings = await Promise.allSettled(postExchange.mock.results.map(result => result.value));
+    const rejected = postings.filter(posting => posting.status === 'rejected');
+    expect(rejected).toHaveLength(PARALLEL_REQUESTS - 1);
+    for (const posting of rejected) {
+      expect(posting.reason).toBeInstanceOf(InsufficientBalanceError);
+    }
+    
+    expect(mockDb.balances.get(CHAT_ID)).toBe('0.000000');
+    expectBalanceNeverNegative();
+    expect([...mockDb.quotes.values()].filter(quote => quote.status === 'accepted')).toHaveLength(1);
+    
+    postExchange.mockRestore();
+  });
+});
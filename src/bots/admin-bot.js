@@ -4,16 +4,25 @@ const Decimal = require('decimal.js');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const validation = require('../utils/validation');
-const { formatUSDT, formatFiat, formatStatus, createTransactionSummary } = require('../utils/format');
+const { formatUSDT, formatFiat, formatStatus, formatPaymentDetails, createTransactionSummary } = require('../utils/format');
 
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const ExchangeRate = require('../models/ExchangeRate');
 const SystemMetric = require('../models/SystemMetric');
+const UnmatchedDeposit = require('../models/UnmatchedDeposit');
+const TransactionEvent = require('../models/TransactionEvent');
 
 const blockchainService = require('../services/blockchain');
 const exchangeService = require('../services/exchange');
 const metricsService = require('../services/metrics');
+const depositService = require('../services/deposit');
+const withdrawalService = require('../services/withdrawal');
+const rpcService = require('../services/rpc');
+const hotWalletService = require('../services/hotwallet');
+const reconciliationService = require('../services/reconciliation');
+const adjustmentService = require('../services/adjustment');
+const buyService = require('../services/buy');
 
 // Create bot instance
 const adminBot = new TelegramBot(config.adminTelegramToken, { polling: true });
@@ -32,7 +41,8 @@ function createAdminMenu() {
   return createInlineKeyboardMarkup([
     [{ text: '📊 System Overview', callback_data: 'system_overview' }],
     [{ text: '💱 Exchange Requests', callback_data: 'exchange_requests' }],
-    [{ text: '💰 Wallet Balance', callback_data: 'wallet_balance' }],
+    [{ text: '🛂 Withdrawal Approvals', callback_data: 'withdrawal_approvals' }],
+    [{ text: '💰 Wallets', callback_data: 'wallet_balance' }],
     [{ text: '⚙️ Exchange Rates', callback_data: 'exchange_rates' }]
   ]);
 }
@@ -42,6 +52,155 @@ function isAdmin(chatId) {
   return chatId.toString() === config.adminChatId;
 }
 
+// Helper function to describe a spread setting
+function formatSpread(spreadType, spread, fiatType) {
+  return spreadType === 'percent'
+    ? `${new Decimal(spread).toString()}% of mid`
+    : `${new Decimal(spread).toString()} ${fiatType} per USDT`;
+}
+
+// Helper function to build the withdrawal approval queue message
+async function createApprovalQueueMessage() {
+  const approvals = await withdrawalService.getPendingApprovals();
+  
+  if (approvals.length === 0) {
+    return '📝 No withdrawals awaiting approval.';
+  }
+  
+  let message = '🛂 *Withdrawals Awaiting Approval*\n\n';
+  
+  for (const item of approvals) {
+    const { transaction, user } = item;
+    
+    message += `*ID #${transaction.id}*${user.flagged ? ' ⚠️ flagged user' : ''}\n`;
+    message += `User: ${user.username || 'No username'} (${user.chatId})\n`;
+    message += `Amount: ${formatUSDT(transaction.amount)} USDT\n`;
+    message += `Address: \`${transaction.walletAddress}\`\n`;
+    message += `Requested: ${new Date(transaction.createdAt).toLocaleString()}\n`;
+    message += `Commands: /approve_withdrawal ${transaction.id} | /reject_withdrawal ${transaction.id}\n\n`;
+  }
+  
+  return message;
+}
+
+// Helper function to build the hot/cold wallet overview message
+async function createWalletsMessage() {
+  const { hot, cold, reserved, limits } = await hotWalletService.getWalletsOverview();
+  
+  let message = '🏦 *Wallets*\n\n';
+  
+  message += '🔥 *Hot Wallet*\n';
+  message += `\`${hot.address}\`\n`;
+  message += `USDT: ${formatUSDT(hot.usdt)}${new Decimal(hot.usdt).lessThan(limits.usdtFloor) ? ' 🪫' : ''}\n`;
+  message += `BNB: ${hot.bnb}${new Decimal(hot.bnb).lessThan(limits.bnbFloor) ? ' 🪫' : ''}\n`;
+  message += `Reserved for withdrawals: ${formatUSDT(reserved)} USDT\n`;
+  message += `Floor / ceiling: ${formatUSDT(limits.usdtFloor)} / ${formatUSDT(limits.usdtCeiling)} USDT\n`;
+  message += `BNB floor: ${limits.bnbFloor}\n`;
+  message += `Signer: ${blockchainService.canSign() ? 'active' : 'read-only'}\n\n`;
+  
+  message += '🧊 *Cold Wallet*\n';
+  if (cold) {
+    message += `\`${cold.address}\`\n`;
+    message += `USDT: ${formatUSDT(cold.usdt)}\n`;
+    message += `BNB: ${cold.bnb}\n`;
+  } else {
+    message += 'Not configured (set COLD_WALLET_ADDRESS)\n';
+  }
+  
+  return message;
+}
+
+// Helper function to approve or reject a held withdrawal and report back
+async function decideWithdrawal(chatId, approve, transactionId, reason) {
+  const result = approve
+    ? await withdrawalService.approveWithdrawal(transactionId)
+    : await withdrawalService.rejectWithdrawal(transactionId, reason);
+  
+  if (!result.success) {
+    return adminBot.sendMessage(chatId, `❌ Failed to ${approve ? 'approve' : 'reject'} withdrawal: ${result.error}`);
+  }
+  
+  const transaction = result.transaction;
+  
+  adminBot.sendMessage(chatId, `
+${approve ? '✅ *Withdrawal Approved*' : '❌ *Withdrawal Rejected*'}
+
+ID: #${transaction.id}
+User: ${transaction.chatId}
+Amount: ${formatUSDT(transaction.amount)} USDT
+Address: \`${transaction.walletAddress}\`
+${approve ? 'The withdrawal has been queued for sending.' : `Reason: ${reason}`}
+  `, { parse_mode: 'Markdown' });
+}
+
+// Helper function to approve or reject a paid buy and report back
+async function decideBuy(chatId, approve, transactionId, reason) {
+  const result = approve
+    ? await buyService.approveBuy(transactionId, chatId)
+    : await buyService.rejectBuy(transactionId, reason, chatId);
+  
+  if (!result.success) {
+    return adminBot.sendMessage(chatId, `❌ Failed to ${approve ? 'approve' : 'reject'} buy: ${result.error}`);
+  }
+  
+  const transaction = result.transaction;
+  
+  adminBot.sendMessage(chatId, `
+${approve ? '✅ *Buy Approved*' : '❌ *Buy Rejected*'}
+
+ID: #${transaction.id}
+User: ${transaction.chatId}
+Paid: ${formatFiat(transaction.fiatAmount)} ${transaction.fiatType}
+Amount: ${formatUSDT(transaction.amount)} USDT
+${approve ? 'The USDT has been credited to the user.' : `Reason: ${reason}`}
+  `, { parse_mode: 'Markdown' });
+}
+
+// Helper function to confirm or cancel a balance adjustment and report back
+async function decideAdjustment(chatId, confirm, transactionId) {
+  const result = confirm
+    ? await adjustmentService.confirmAdjustment(transactionId, chatId)
+    : await adjustmentService.cancelAdjustment(transactionId, chatId);
+  
+  if (!result.success) {
+    return adminBot.sendMessage(chatId, `❌ Failed to ${confirm ? 'confirm' : 'cancel'} adjustment: ${result.error}`);
+  }
+  
+  const transaction = result.transaction;
+  
+  adminBot.sendMessage(chatId, `
+${confirm ? '✅ *Adjustment Applied*' : '🚫 *Adjustment Cancelled*'}
+
+ID: #${transaction.id}
+User: ${transaction.chatId}
+Amount: ${formatUSDT(transaction.amount)} USDT
+${confirm ? `New balance: ${formatUSDT(result.balance)} USDT` : 'The balance was not changed.'}
+  `, { parse_mode: 'Markdown' });
+}
+
+// Helper function to speed up or cancel a stuck withdrawal and report back
+async function replaceStuckWithdrawal(chatId, cancel, transactionId) {
+  const result = await withdrawalService.replaceWithdrawal(transactionId, cancel);
+  
+  if (!result.success) {
+    return adminBot.sendMessage(chatId, `❌ Failed to ${cancel ? 'cancel' : 'speed up'} withdrawal: ${result.error}`);
+  }
+  
+  const transaction = result.transaction;
+  
+  adminBot.sendMessage(chatId, `
+${result.kind === 'cancel' ? '🛑 *Withdrawal Cancel Sent*' : '⚡ *Withdrawal Sped Up*'}
+
+ID: #${transaction.id}
+Nonce: ${transaction.nonce}
+New hash: \`${result.hash}\`
+Broadcasts: ${withdrawalService.getBroadcasts(transaction).length}
+${result.kind === 'cancel'
+  ? 'The user is refunded once the cancel is confirmed. If the original transfer is mined first, the withdrawal completes instead.'
+  : 'The withdrawal completes once any of its hashes is confirmed.'}
+  `, { parse_mode: 'Markdown' });
+}
+
 // Command: /start
 adminBot.onText(/\/start/, (msg) => {
   const chatId = msg.chat.id.toString();
@@ -58,14 +217,35 @@ Welcome to the administration interface for Hive Exchange Bot.
 🔧 *Available Commands:*
 /start - Show this welcome message
 /system - View system overview
+/wallets - View hot and cold wallet balances
+/reconcile - Compare user balances with on-chain holdings
 /exchanges - View pending exchange requests
-/rate_usd [value] - Update USD exchange rate
-/rate_uah [value] - Update UAH exchange rate
+/rate_usd [value] - Update USD mid rate
+/rate_uah [value] - Update UAH mid rate
+/spread_usd [value|percent%] - Set the USD spread around the mid rate
+/spread_uah [value|percent%] - Set the UAH spread around the mid rate
+/requisites [USD|UAH] [text] - Set the requisites users pay to when buying USDT
 /fee [value] - Update withdrawal fee
 /complete_exchange [id] - Complete an exchange transaction
 /reject_exchange [id] - Reject an exchange transaction
+/buys - View paid buys awaiting review
+/approve_buy [id] - Credit a paid buy
+/reject_buy [id] [reason] - Reject a buy whose payment did not arrive
 /find_user [chatId] - Find user by chat ID
 /find_tx [id] - Find transaction by ID
+/approvals - View withdrawals awaiting approval
+/approve_withdrawal [id] - Approve a held withdrawal
+/reject_withdrawal [id] [reason] - Reject a held withdrawal
+/flag_user [chatId] [reason] - Require approval for all withdrawals of a user
+/unflag_user [chatId] - Remove the approval requirement from a user
+/stuck - View withdrawals stuck unmined
+/speed_up [id] - Resend a stuck withdrawal with a higher gas price
+/cancel_withdrawal [id] - Cancel a stuck withdrawal with a zero-value self-transfer
+/fail_withdrawal [id] [reason] - Fail and refund a held withdrawal whose nonce another transaction took
+/unmatched - View deposits that matched no request
+/credit_unmatched [id] [chatId] [amount] - Credit an unmatched deposit
+/refund_unmatched [id] - Refund an unmatched deposit to its sender
+/adjust [chatId],[amount],[reason] - Credit (or debit with a negative amount) a user's balance
 
 Select an option from the menu below:
   `, {
@@ -101,16 +281,37 @@ adminBot.onText(/\/system/, async (msg) => {
 - Daily: ${formatUSDT(overview.volume.daily)} USDT
 - Weekly: ${formatUSDT(overview.volume.weekly)} USDT
 
+💸 *Withdrawal Fees Earned:*
+- Daily: ${formatUSDT(overview.fees.daily)} USDT
+- Weekly: ${formatUSDT(overview.fees.weekly)} USDT
+- Monthly: ${formatUSDT(overview.fees.monthly)} USDT
+
+↩️ *Refunds:*
+- Daily: ${formatUSDT(overview.refunds.daily)} USDT
+- Weekly: ${formatUSDT(overview.refunds.weekly)} USDT
+- Monthly: ${formatUSDT(overview.refunds.monthly)} USDT
+
 💱 *Exchange Requests:*
 - Pending: ${overview.pendingExchanges}
 
-💵 *Exchange Rates:*
-- USD: ${rates.rateUSD}
-- UAH: ${rates.rateUAH}
+🛒 *Buy Requests:*
+- Awaiting review: ${overview.pendingBuys}
+
+📈 *Margin Income:*
+- Daily: ${formatFiat(overview.margins.daily.USD)} USD / ${formatFiat(overview.margins.daily.UAH)} UAH
+- Weekly: ${formatFiat(overview.margins.weekly.USD)} USD / ${formatFiat(overview.margins.weekly.UAH)} UAH
+- Monthly: ${formatFiat(overview.margins.monthly.USD)} USD / ${formatFiat(overview.margins.monthly.UAH)} UAH
+
+💵 *Exchange Rates (bid / mid / ask):*
+- USD: ${rates.rateUSD} / ${rates.midRateUSD} / ${rates.buyRateUSD}
+- UAH: ${rates.rateUAH} / ${rates.midRateUAH} / ${rates.buyRateUAH}
 
 🏦 *Wallet Balance:*
 - USDT: ${formatUSDT(walletBalance)}
 
+🔌 *RPC Provider:*
+- ${rpcService.getStatusLine()}
+
 📝 *System Configuration:*
 - Withdrawal Fee: ${config.transactions.withdrawalFee} USDT
 - Min Confirmations: ${config.transactions.minConfirmations}
@@ -124,6 +325,49 @@ adminBot.onText(/\/system/, async (msg) => {
   }
 });
 
+// Command: /wallets
+adminBot.onText(/\/wallets/, async (msg) => {
+  const chatId = msg.chat.id.toString();
+  
+  if (!isAdmin(chatId)) {
+    return adminBot.sendMessage(chatId, '⛔ You are not authorized to use this bot.');
+  }
+  
+  try {
+    const message = await createWalletsMessage();
+    
+    adminBot.sendMessage(chatId, message, {
+      parse_mode: 'Markdown',
+      ...createAdminMenu()
+    });
+  } catch (error) {
+    logger.error(`Error getting wallet balances for admin:`, error);
+    adminBot.sendMessage(chatId, '❌ An error occurred while fetching wallet balances.');
+  }
+});
+
+// Command: /reconcile
+adminBot.onText(/\/reconcile/, async (msg) => {
+  const chatId = msg.chat.id.toString();
+  
+  if (!isAdmin(chatId)) {
+    return adminBot.sendMessage(chatId, '⛔ You are not authorized to use this bot.');
+  }
+  
+  try {
+    adminBot.sendMessage(chatId, '⏳ Running reconciliation...');
+    
+    const report = await reconciliationService.reconcile();
+    
+    adminBot.sendMessage(chatId, `🧮 *Reconciliation*\n\n${reconciliationService.formatReport(report)}`, {
+      parse_mode: 'Markdown'
+    });
+  } catch (error) {
+    logger.error(`Error running reconciliation for admin:`, error);
+    adminBot.sendMessage(chatId, '❌ An error occurred while running the reconciliation.');
+  }
+});
+
 // Command: /exchanges
 adminBot.onText(/\/exchanges/, async (msg) => {
   const chatId = msg.chat.id.toString();
@@ -172,18 +416,24 @@ adminBot.onText(/\/rate_usd (.+)/, async (msg, match) => {
     return adminBot.sendMessage(chatId, '⛔ You are not authorized to use this bot.');
   }
   
-  const rateUSD = match[1];
+  const midRateUSD = match[1].trim();
   
   try {
     // Validate rate
-    if (!validation.isValidAmount(rateUSD)) {
+    if (!validation.isValidAmount(midRateUSD)) {
       return adminBot.sendMessage(chatId, '❌ Invalid rate format. Please enter a positive number.');
     }
     
-    // Update exchange rate
-    await ExchangeRate.updateRates({ rateUSD });
+    const current = await ExchangeRate.getCurrentRates();
+    const { bid, ask } = ExchangeRate.applySpread(midRateUSD, current.spreadTypeUSD, current.spreadUSD);
+    if (new Decimal(bid).lessThanOrEqualTo(0)) {
+      return adminBot.sendMessage(chatId, `❌ The current USD spread leaves no positive bid at a mid rate of ${midRateUSD}. Lower the spread first.`);
+    }
+    
+    // Update mid rate, bid and ask follow
+    await ExchangeRate.updateRates({ midRateUSD });
     
-    adminBot.sendMessage(chatId, `✅ USD exchange rate updated to ${rateUSD}`);
+    adminBot.sendMessage(chatId, `✅ USD mid rate updated to ${midRateUSD} (bid ${bid} / ask ${ask})`);
   } catch (error) {
     logger.error(`Error updating USD rate:`, error);
     adminBot.sendMessage(chatId, '❌ An error occurred while updating USD rate.');
@@ -198,24 +448,123 @@ adminBot.onText(/\/rate_uah (.+)/, async (msg, match) => {
     return adminBot.sendMessage(chatId, '⛔ You are not authorized to use this bot.');
   }
   
-  const rateUAH = match[1];
+  const midRateUAH = match[1].trim();
   
   try {
     // Validate rate
-    if (!validation.isValidAmount(rateUAH)) {
+    if (!validation.isValidAmount(midRateUAH)) {
       return adminBot.sendMessage(chatId, '❌ Invalid rate format. Please enter a positive number.');
     }
     
-    // Update exchange rate
-    await ExchangeRate.updateRates({ rateUAH });
+    const current = await ExchangeRate.getCurrentRates();
+    const { bid, ask } = ExchangeRate.applySpread(midRateUAH, current.spreadTypeUAH, current.spreadUAH);
+    if (new Decimal(bid).lessThanOrEqualTo(0)) {
+      return adminBot.sendMessage(chatId, `❌ The current UAH spread leaves no positive bid at a mid rate of ${midRateUAH}. Lower the spread first.`);
+    }
+    
+    // Update mid rate, bid and ask follow
+    await ExchangeRate.updateRates({ midRateUAH });
     
-    adminBot.sendMessage(chatId, `✅ UAH exchange rate updated to ${rateUAH}`);
+    adminBot.sendMessage(chatId, `✅ UAH mid rate updated to ${midRateUAH} (bid ${bid} / ask ${ask})`);
   } catch (error) {
     logger.error(`Error updating UAH rate:`, error);
     adminBot.sendMessage(chatId, '❌ An error occurred while updating UAH rate.');
   }
 });
 
+// Command: /spread_usd [value|percent%]
+adminBot.onText(/\/spread_usd (.+)/, async (msg, match) => {
+  const chatId = msg.chat.id.toString();
+  
+  if (!isAdmin(chatId)) {
+    return adminBot.sendMessage(chatId, '⛔ You are not authorized to use this bot.');
+  }
+  
+  try {
+    // Validate spread
+    const parsed = validation.parseSpread(match[1]);
+    if (!parsed) {
+      return adminBot.sendMessage(chatId, '❌ Invalid spread. Use a fixed USD amount per USDT (e.g. 0.5) or a percentage of the mid rate below 100 (e.g. 1.5%).');
+    }
+    
+    const current = await ExchangeRate.getCurrentRates();
+    const { bid, ask } = ExchangeRate.applySpread(current.midRateUSD, parsed.spreadType, parsed.spread);
+    if (new Decimal(bid).lessThanOrEqualTo(0)) {
+      return adminBot.sendMessage(chatId, `❌ A spread of ${match[1].trim()} leaves no positive bid at the USD mid rate of ${current.midRateUSD}.`);
+    }
+    
+    // Update spread, bid and ask follow
+    await ExchangeRate.updateRates({
+      spreadTypeUSD: parsed.spreadType,
+      spreadUSD: parsed.spread
+    });
+    
+    adminBot.sendMessage(chatId, `✅ USD spread updated to ${formatSpread(parsed.spreadType, parsed.spread, 'USD')} (bid ${bid} / ask ${ask})`);
+  } catch (error) {
+    logger.error(`Error updating USD spread:`, error);
+    adminBot.sendMessage(chatId, '❌ An error occurred while updating USD spread.');
+  }
+});
+
+// Command: /spread_uah [value|percent%]
+adminBot.onText(/\/spread_uah (.+)/, async (msg, match) => {
+  const chatId = msg.chat.id.toString();
+  
+  if (!isAdmin(chatId)) {
+    return adminBot.sendMessage(chatId, '⛔ You are not authorized to use this bot.');
+  }
+  
+  try {
+    // Validate spread
+    const parsed = validation.parseSpread(match[1]);
+    if (!parsed) {
+      return adminBot.sendMessage(chatId, '❌ Invalid spread. Use a fixed UAH amount per USDT (e.g. 0.5) or a percentage of the mid rate below 100 (e.g. 1.5%).');
+    }
+    
+    const current = await ExchangeRate.getCurrentRates();
+    const { bid, ask } = ExchangeRate.applySpread(current.midRateUAH, parsed.spreadType, parsed.spread);
+    if (new Decimal(bid).lessThanOrEqualTo(0)) {
+      return adminBot.sendMessage(chatId, `❌ A spread of ${match[1].trim()} leaves no positive bid at the UAH mid rate of ${current.midRateUAH}.`);
+    }
+    
+    // Update spread, bid and ask follow
+    await ExchangeRate.updateRates({
+      spreadTypeUAH: parsed.spreadType,
+      spreadUAH: parsed.spread
+    });
+    
+    adminBot.sendMessage(chatId, `✅ UAH spread updated to ${formatSpread(parsed.spreadType, parsed.spread, 'UAH')} (bid ${bid} / ask ${ask})`);
+  } catch (error) {
+    logger.error(`Error updating UAH spread:`, error);
+    adminBot.sendMessage(chatId, '❌ An error occurred while updating UAH spread.');
+  }
+});
+
+// Command: /requisites [USD|UAH] [text]
+adminBot.onText(/\/requisites ([A-Za-z]{3})\s+([\s\S]+)/, async (msg, match) => {
+  const chatId = msg.chat.id.toString();
+  
+  if (!isAdmin(chatId)) {
+    return adminBot.sendMessage(chatId, '⛔ You are not authorized to use this bot.');
+  }
+  
+  const fiatType = match[1].toUpperCase();
+  const requisites = match[2].trim();
+  
+  try {
+    if (!validation.isValidFiatType(fiatType)) {
+      return adminBot.sendMessage(chatId, '❌ Invalid currency. Use USD or UAH.');
+    }
+    
+    await buyService.setRequisites(fiatType, requisites);
+    
+    adminBot.sendMessage(chatId, `✅ ${fiatType} buy requisites updated to:\n${requisites}`);
+  } catch (error) {
+    logger.error(`Error updating buy requisites:`, error);
+    adminBot.sendMessage(chatId, '❌ An error occurred while updating buy requisites.');
+  }
+});
+
 // Command: /fee [value]
 adminBot.onText(/\/fee (.+)/, async (msg, match) => {
   const chatId = msg.chat.id.toString();
@@ -325,28 +674,18 @@ adminBot.onText(/\/reject_exchange (.+)/, async (msg, match) => {
       rejectionReason = parts.slice(2).join(' ');
     }
     
-    // Find transaction
-    const transaction = await Transaction.findByPk(transactionId);
-    
-    if (!transaction) {
-      return adminBot.sendMessage(chatId, '❌ Transaction not found.');
-    }
-    
-    if (transaction.type !== 'exchange') {
-      return adminBot.sendMessage(chatId, '❌ Not an exchange transaction.');
-    }
+    // Reject transaction and return the USDT to the user
+    const result = await exchangeService.rejectExchangeTransaction(transactionId, rejectionReason);
     
-    if (transaction.status !== 'pending') {
-      return adminBot.sendMessage(chatId, `❌ Transaction is not pending, current status: ${transaction.status}`);
+    if (!result.success) {
+      return adminBot.sendMessage(chatId, `❌ Failed to reject exchange: ${result.error}`);
     }
     
-    // Update transaction
-    transaction.status = 'failed';
-    transaction.adminNotes = rejectionReason;
-    await transaction.save();
+    const { transaction, refund } = result;
     
     // Get user
     const user = await User.findByPk(transaction.chatId);
+    const balance = await Transaction.getUserBalance(transaction.chatId);
     
     // Notify admin
     adminBot.sendMessage(chatId, `
@@ -357,6 +696,7 @@ User: ${user.username || 'No username'} (${user.chatId})
 Amount: ${formatUSDT(transaction.amount)} USDT
 Fiat: ${formatFiat(transaction.fiatAmount)} ${transaction.fiatType}
 Reason: ${rejectionReason}
+Refund: #${refund.id}
     `, { parse_mode: 'Markdown' });
     
     // Notify user
@@ -372,6 +712,10 @@ Your exchange request has been rejected:
 🧾 Transaction ID: #${transaction.id}
 ❓ Reason: ${rejectionReason}
 
+The USDT has been returned to your balance.
+↩️ Refund: ${formatUSDT(refund.amount)} USDT (#${refund.id})
+📊 Balance: ${formatUSDT(balance)} USDT
+
 Please contact support if you have any questions.
     `, { parse_mode: 'Markdown' });
   } catch (error) {
@@ -413,6 +757,7 @@ Username: ${user.username || 'Not set'}
 Registered: ${new Date(user.createdAt).toLocaleString()}
 Last Active: ${new Date(user.updatedAt).toLocaleString()}
 Balance: ${formatUSDT(balance)} USDT
+Flagged: ${user.flagged ? `⚠️ Yes (${user.flagReason || 'no reason given'})` : 'No'}
     `;
     
     if (transactions.length > 0) {
@@ -470,10 +815,41 @@ Amount: ${formatUSDT(transaction.amount)} USDT
       message += `Fiat: ${formatFiat(transaction.fiatAmount)} ${transaction.fiatType}\n`;
     }
     
+    if (transaction.rate) {
+      message += `Rate: ${transaction.rate} ${transaction.fiatType}/USDT\n`;
+    }
+    
+    if (transaction.midRate) {
+      message += `Mid rate: ${transaction.midRate} (spread ${transaction.spread})\n`;
+      message += `Margin: ${formatFiat(new Decimal(transaction.amount).times(transaction.spread))} ${transaction.fiatType}\n`;
+    }
+    
+    if (transaction.type === 'exchange') {
+      message += `\n💸 *Pay Out To*\n${formatPaymentDetails(transaction.paymentDetails)}\n`;
+    }
+    
+    if (transaction.type === 'buy' && transaction.paymentDetails) {
+      const proof = transaction.paymentDetails.proof;
+      message += `Payment proof: ${proof.type === 'reference' ? `\`${proof.reference}\`` : 'photo (sent with the review card)'}\n`;
+    }
+    
     if (transaction.walletAddress) {
       message += `Wallet: \`${transaction.walletAddress}\`\n`;
     }
     
+    if (transaction.recipientChatId) {
+      message += `Recipient: ${transaction.recipientChatId}\n`;
+    }
+    
+    if (transaction.originalTransactionId) {
+      message += `Refund of: #${transaction.originalTransactionId}\n`;
+    }
+    
+    const refund = await Transaction.findRefundOf(transaction.id);
+    if (refund) {
+      message += `Refunded: ${formatUSDT(refund.amount)} USDT (#${refund.id})\n`;
+    }
+    
     if (transaction.txHash) {
       message += `TX Hash: \`${transaction.txHash}\`\n`;
     }
@@ -494,6 +870,21 @@ Amount: ${formatUSDT(transaction.amount)} USDT
       message += `Completed: ${new Date(transaction.completedAt).toLocaleString()}\n`;
     }
     
+    if (transaction.broadcasts && transaction.broadcasts.length > 1) {
+      message += `\n📡 *Broadcasts*\n`;
+      for (const broadcast of transaction.broadcasts) {
+        message += `${broadcast.kind}: \`${broadcast.hash}\` (${new Date(broadcast.sentAt).toLocaleString()})\n`;
+      }
+    }
+    
+    const history = await TransactionEvent.getHistory(transaction.id);
+    if (history.length > 0) {
+      message += `\n🗂 *Status History*\n`;
+      for (const event of history) {
+        message += `${new Date(event.createdAt).toLocaleString()}: ${event.fromStatus || 'new'} → ${event.toStatus} by ${event.actor}${event.reason ? ` (${event.reason})` : ''}\n`;
+      }
+    }
+    
     if (transaction.adminNotes) {
       message += `\n📝 *Admin Notes*\n${transaction.adminNotes}\n`;
     }
@@ -503,6 +894,25 @@ Amount: ${formatUSDT(transaction.amount)} USDT
       message += `\nActions: /complete_exchange ${transaction.id} | /reject_exchange ${transaction.id}`;
     }
     
+    // Add action buttons if buy payment awaits review
+    if (transaction.type === 'buy' && transaction.status === 'processing') {
+      message += `\nActions: /approve_buy ${transaction.id} | /reject_buy ${transaction.id}`;
+    }
+    
+    // Add action buttons if withdrawal awaits approval
+    if (transaction.type === 'withdrawal' && transaction.status === 'pending_approval') {
+      message += `\nActions: /approve_withdrawal ${transaction.id} | /reject_withdrawal ${transaction.id}`;
+    }
+    
+    // Add action buttons if withdrawal is held because its nonce was used
+    if (transaction.type === 'withdrawal' && transaction.status === 'processing' && transaction.nonceConflictAt) {
+      message += `\n⚠️ Held since ${new Date(transaction.nonceConflictAt).toLocaleString()}: nonce used, no receipt for any hash`;
+      message += `\nActions: /fail_withdrawal ${transaction.id} [reason]`;
+    } else if (transaction.type === 'withdrawal' && transaction.status === 'processing' && transaction.signedTx) {
+      // Add action buttons if withdrawal is broadcast but not mined yet
+      message += `\nActions: /speed_up ${transaction.id} | /cancel_withdrawal ${transaction.id}`;
+    }
+    
     adminBot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
   } catch (error) {
     logger.error(`Error finding transaction:`, error);
@@ -510,6 +920,461 @@ Amount: ${formatUSDT(transaction.amount)} USDT
   }
 });
 
+// Command: /buys
+adminBot.onText(/\/buys/, async (msg) => {
+  const chatId = msg.chat.id.toString();
+  
+  if (!isAdmin(chatId)) {
+    return adminBot.sendMessage(chatId, '⛔ You are not authorized to use this bot.');
+  }
+  
+  try {
+    const buys = await buyService.getBuysAwaitingReview();
+    
+    if (buys.length === 0) {
+      return adminBot.sendMessage(chatId, '📝 No buys awaiting review.');
+    }
+    
+    let message = '🛒 *Buys Awaiting Review*\n\n';
+    
+    for (const item of buys) {
+      const { transaction, user } = item;
+      
+      message += `*ID #${transaction.id}*\n`;
+      message += `User: ${user.username || 'No username'} (${user.chatId})\n`;
+      message += `Paid: ${formatFiat(transaction.fiatAmount)} ${transaction.fiatType}\n`;
+      message += `Amount: ${formatUSDT(transaction.amount)} USDT\n`;
+      message += `Requested: ${new Date(transaction.createdAt).toLocaleString()}\n`;
+      message += `Commands: /approve_buy ${transaction.id} | /reject_buy ${transaction.id}\n\n`;
+    }
+    
+    adminBot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  } catch (error) {
+    logger.error(`Error fetching buys for admin:`, error);
+    adminBot.sendMessage(chatId, '❌ An error occurred while fetching buys.');
+  }
+});
+
+// Command: /approve_buy [id]
+adminBot.onText(/\/approve_buy (.+)/, async (msg, match) => {
+  const chatId = msg.chat.id.toString();
+  
+  if (!isAdmin(chatId)) {
+    return adminBot.sendMessage(chatId, '⛔ You are not authorized to use this bot.');
+  }
+  
+  try {
+    await decideBuy(chatId, true, match[1].trim());
+  } catch (error) {
+    logger.error(`Error approving buy:`, error);
+    adminBot.sendMessage(chatId, '❌ An error occurred while approving the buy.');
+  }
+});
+
+// Command: /reject_buy [id] [reason]
+adminBot.onText(/\/reject_buy (.+)/, async (msg, match) => {
+  const chatId = msg.chat.id.toString();
+  
+  if (!isAdmin(chatId)) {
+    return adminBot.sendMessage(chatId, '⛔ You are not authorized to use this bot.');
+  }
+  
+  try {
+    // Get rejection reason if provided
+    const parts = match[1].trim().split(' ');
+    const transactionId = parts[0];
+    const reason = parts.length > 1
+      ? parts.slice(1).join(' ')
+      : 'Your payment could not be verified.';
+    
+    await decideBuy(chatId, false, transactionId, reason);
+  } catch (error) {
+    logger.error(`Error rejecting buy:`, error);
+    adminBot.sendMessage(chatId, '❌ An error occurred while rejecting the buy.');
+  }
+});
+
+// Command: /approvals
+adminBot.onText(/\/approvals/, async (msg) => {
+  const chatId = msg.chat.id.toString();
+  
+  if (!isAdmin(chatId)) {
+    return adminBot.sendMessage(chatId, '⛔ You are not authorized to use this bot.');
+  }
+  
+  try {
+    const message = await createApprovalQueueMessage();
+    
+    adminBot.sendMessage(chatId, message, {
+      parse_mode: 'Markdown',
+      ...createAdminMenu()
+    });
+  } catch (error) {
+    logger.error(`Error fetching withdrawal approvals for admin:`, error);
+    adminBot.sendMessage(chatId, '❌ An error occurred while fetching withdrawal approvals.');
+  }
+});
+
+// Command: /approve_withdrawal [id]
+adminBot.onText(/\/approve_withdrawal (.+)/, async (msg, match) => {
+  const chatId = msg.chat.id.toString();
+  
+  if (!isAdmin(chatId)) {
+    return adminBot.sendMessage(chatId, '⛔ You are not authorized to use this bot.');
+  }
+  
+  try {
+    await decideWithdrawal(chatId, true, match[1].trim());
+  } catch (error) {
+    logger.error(`Error approving withdrawal:`, error);
+    adminBot.sendMessage(chatId, '❌ An error occurred while approving the withdrawal.');
+  }
+});
+
+// Command: /reject_withdrawal [id] [reason]
+adminBot.onText(/\/reject_withdrawal (.+)/, async (msg, match) => {
+  const chatId = msg.chat.id.toString();
+  
+  if (!isAdmin(chatId)) {
+    return adminBot.sendMessage(chatId, '⛔ You are not authorized to use this bot.');
+  }
+  
+  try {
+    // Get rejection reason if provided
+    const parts = match[1].trim().split(' ');
+    const transactionId = parts[0];
+    const reason = parts.length > 1
+      ? parts.slice(1).join(' ')
+      : 'Withdrawal request was rejected by the administrator.';
+    
+    await decideWithdrawal(chatId, false, transactionId, reason);
+  } catch (error) {
+    logger.error(`Error rejecting withdrawal:`, error);
+    adminBot.sendMessage(chatId, '❌ An error occurred while rejecting the withdrawal.');
+  }
+});
+
+// Command: /stuck
+adminBot.onText(/\/stuck/, async (msg) => {
+  const chatId = msg.chat.id.toString();
+  
+  if (!isAdmin(chatId)) {
+    return adminBot.sendMessage(chatId, '⛔ You are not authorized to use this bot.');
+  }
+  
+  try {
+    const stuck = await withdrawalService.getStuckWithdrawals();
+    
+    if (stuck.length === 0) {
+      return adminBot.sendMessage(chatId, '📝 No stuck withdrawals.');
+    }
+    
+    let message = '🐢 *Stuck Withdrawals*\n\n';
+    
+    for (const transaction of stuck) {
+      const broadcasts = withdrawalService.getBroadcasts(transaction);
+      
+      message += `*ID #${transaction.id}* (nonce ${transaction.nonce})\n`;
+      message += `User: ${transaction.chatId}\n`;
+      message += `Amount: ${formatUSDT(transaction.amount)} USDT\n`;
+      message += `Latest hash: \`${transaction.txHash}\`\n`;
+      message += `Broadcasts: ${broadcasts.length}, last sent ${new Date(broadcasts[broadcasts.length - 1].sentAt).toLocaleString()}\n`;
+      message += `Commands: /speed_up ${transaction.id} | /cancel_withdrawal ${transaction.id}\n\n`;
+    }
+    
+    adminBot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  } catch (error) {
+    logger.error(`Error fetching stuck withdrawals for admin:`, error);
+    adminBot.sendMessage(chatId, '❌ An error occurred while fetching stuck withdrawals.');
+  }
+});
+
+// Command: /speed_up [id]
+adminBot.onText(/\/speed_up (.+)/, async (msg, match) => {
+  const chatId = msg.chat.id.toString();
+  
+  if (!isAdmin(chatId)) {
+    return adminBot.sendMessage(chatId, '⛔ You are not authorized to use this bot.');
+  }
+  
+  try {
+    await replaceStuckWithdrawal(chatId, false, match[1].trim());
+  } catch (error) {
+    logger.error(`Error speeding up withdrawal:`, error);
+    adminBot.sendMessage(chatId, '❌ An error occurred while speeding up the withdrawal.');
+  }
+});
+
+// Command: /cancel_withdrawal [id]
+adminBot.onText(/\/cancel_withdrawal (.+)/, async (msg, match) => {
+  const chatId = msg.chat.id.toString();
+  
+  if (!isAdmin(chatId)) {
+    return adminBot.sendMessage(chatId, '⛔ You are not authorized to use this bot.');
+  }
+  
+  try {
+    await replaceStuckWithdrawal(chatId, true, match[1].trim());
+  } catch (error) {
+    logger.error(`Error cancelling withdrawal:`, error);
+    adminBot.sendMessage(chatId, '❌ An error occurred while cancelling the withdrawal.');
+  }
+});
+
+// Command: /fail_withdrawal [id] [reason]
+adminBot.onText(/\/fail_withdrawal (.+)/, async (msg, match) => {
+  const chatId = msg.chat.id.toString();
+  
+  if (!isAdmin(chatId)) {
+    return adminBot.sendMessage(chatId, '⛔ You are not authorized to use this bot.');
+  }
+  
+  try {
+    // Get failure reason if provided
+    const parts = match[1].trim().split(' ');
+    const transactionId = parts[0];
+    const reason = parts.length > 1
+      ? parts.slice(1).join(' ')
+      : 'The withdrawal could not be sent.';
+    
+    const result = await withdrawalService.failHeldWithdrawal(transactionId, reason, chatId);
+    
+    if (!result.success) {
+      return adminBot.sendMessage(chatId, `❌ Failed to fail withdrawal: ${result.error}`);
+    }
+    
+    adminBot.sendMessage(chatId, `↩️ Withdrawal #${result.transaction.id} failed and refunded to user ${result.transaction.chatId}.`);
+  } catch (error) {
+    logger.error(`Error failing held withdrawal:`, error);
+    adminBot.sendMessage(chatId, '❌ An error occurred while failing the withdrawal.');
+  }
+});
+
+// Command: /flag_user [chatId] [reason]
+adminBot.onText(/\/flag_user (.+)/, async (msg, match) => {
+  const chatId = msg.chat.id.toString();
+  
+  if (!isAdmin(chatId)) {
+    return adminBot.sendMessage(chatId, '⛔ You are not authorized to use this bot.');
+  }
+  
+  try {
+    const parts = match[1].trim().split(' ');
+    const user = await User.findByPk(parts[0]);
+    
+    if (!user) {
+      return adminBot.sendMessage(chatId, '❌ User not found.');
+    }
+    
+    user.flagged = true;
+    user.flagReason = parts.length > 1 ? parts.slice(1).join(' ') : null;
+    await user.save();
+    
+    adminBot.sendMessage(chatId, `✅ User ${user.chatId} flagged. All their withdrawals now require approval.`);
+  } catch (error) {
+    logger.error(`Error flagging user:`, error);
+    adminBot.sendMessage(chatId, '❌ An error occurred while flagging the user.');
+  }
+});
+
+// Command: /unflag_user [chatId]
+adminBot.onText(/\/unflag_user (.+)/, async (msg, match) => {
+  const chatId = msg.chat.id.toString();
+  
+  if (!isAdmin(chatId)) {
+    return adminBot.sendMessage(chatId, '⛔ You are not authorized to use this bot.');
+  }
+  
+  try {
+    const user = await User.findByPk(match[1].trim());
+    
+    if (!user) {
+      return adminBot.sendMessage(chatId, '❌ User not found.');
+    }
+    
+    user.flagged = false;
+    user.flagReason = null;
+    await user.save();
+    
+    adminBot.sendMessage(chatId, `✅ User ${user.chatId} unflagged.`);
+  } catch (error) {
+    logger.error(`Error unflagging user:`, error);
+    adminBot.sendMessage(chatId, '❌ An error occurred while unflagging the user.');
+  }
+});
+
+// Command: /unmatched
+adminBot.onText(/\/unmatched$/, async (msg) => {
+  const chatId = msg.chat.id.toString();
+  
+  if (!isAdmin(chatId)) {
+    return adminBot.sendMessage(chatId, '⛔ You are not authorized to use this bot.');
+  }
+  
+  try {
+    const unmatchedDeposits = await UnmatchedDeposit.getUnresolved();
+    
+    if (unmatchedDeposits.length === 0) {
+      return adminBot.sendMessage(chatId, '📝 No unmatched deposits.', createAdminMenu());
+    }
+    
+    let message = '❓ *Unmatched Deposits*\n\n';
+    
+    for (const unmatched of unmatchedDeposits) {
+      message += `*ID #${unmatched.id}* - ${formatStatus(unmatched.status)}\n`;
+      message += `Amount: ${formatUSDT(unmatched.amount)} USDT\n`;
+      if (unmatched.status === 'partially_credited') {
+        message += `Credited: ${formatUSDT(unmatched.creditedAmount)} USDT\n`;
+      }
+      message += `From: \`${unmatched.fromAddress}\`\n`;
+      message += `TX Hash: \`${unmatched.txHash}\`\n`;
+      message += `Claimed by: ${unmatched.claimedChatId || 'Nobody'}\n`;
+      message += `Received: ${new Date(unmatched.createdAt).toLocaleString()}\n`;
+      if (unmatched.status === 'pending') {
+        message += `Commands: /credit_unmatched ${unmatched.id} | /refund_unmatched ${unmatched.id}\n\n`;
+      } else {
+        message += `Commands: /refund_unmatched ${unmatched.id}\n\n`;
+      }
+    }
+    
+    adminBot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  } catch (error) {
+    logger.error(`Error fetching unmatched deposits for admin:`, error);
+    adminBot.sendMessage(chatId, '❌ An error occurred while fetching unmatched deposits.');
+  }
+});
+
+// Command: /adjust
+adminBot.onText(/\/adjust (.+)/, async (msg, match) => {
+  const chatId = msg.chat.id.toString();
+  
+  if (!isAdmin(chatId)) {
+    return adminBot.sendMessage(chatId, '⛔ You are not authorized to use this bot.');
+  }
+  
+  try {
+    const parsed = validation.parseAdjustCommand(match[1]);
+    if (!parsed) {
+      return adminBot.sendMessage(chatId, '❌ Invalid format. Use: /adjust chatId,amount,reason (amount may be negative)');
+    }
+    
+    const result = await adjustmentService.createAdjustment(parsed.chatId, parsed.amount, parsed.reason, chatId);
+    
+    if (!result.success) {
+      return adminBot.sendMessage(chatId, `❌ Failed to create adjustment: ${result.error}`);
+    }
+    
+    const { transaction, user } = result;
+    const balance = await Transaction.getUserBalance(user.chatId);
+    const newBalance = new Decimal(balance).plus(transaction.amount);
+    
+    // Nothing changes until the admin confirms
+    adminBot.sendMessage(chatId, `
+🛠 *Confirm Balance Adjustment*
+
+ID: #${transaction.id}
+User: ${user.username || 'No username'} (ID: ${user.chatId})
+Amount: ${new Decimal(transaction.amount).isPositive() ? '+' : ''}${formatUSDT(transaction.amount)} USDT
+Reason: ${transaction.adminNotes}
+
+Balance: ${formatUSDT(balance)} → ${formatUSDT(newBalance)} USDT
+    `, {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: '✅ Confirm', callback_data: `confirm_adjustment:${transaction.id}` },
+            { text: '❌ Cancel', callback_data: `cancel_adjustment:${transaction.id}` }
+          ]
+        ]
+      }
+    });
+  } catch (error) {
+    logger.error(`Error creating adjustment:`, error);
+    adminBot.sendMessage(chatId, '❌ An error occurred while creating the adjustment.');
+  }
+});
+
+// Command: /credit_unmatched [id] [chatId] [amount]
+adminBot.onText(/\/credit_unmatched (.+)/, async (msg, match) => {
+  const chatId = msg.chat.id.toString();
+  
+  if (!isAdmin(chatId)) {
+    return adminBot.sendMessage(chatId, '⛔ You are not authorized to use this bot.');
+  }
+  
+  try {
+    const [unmatchedId, targetChatId, amount] = match[1].trim().split(/\s+/);
+    
+    if (amount && !validation.isValidAmount(amount)) {
+      return adminBot.sendMessage(chatId, '❌ Invalid amount. Please enter a positive number.');
+    }
+    
+    // Default to the user who claimed the transfer
+    let creditChatId = targetChatId;
+    if (!creditChatId) {
+      const unmatched = await UnmatchedDeposit.findByPk(unmatchedId);
+      creditChatId = unmatched && unmatched.claimedChatId;
+    }
+    
+    if (!creditChatId) {
+      return adminBot.sendMessage(chatId, '❌ Nobody claimed this deposit. Use: /credit_unmatched [id] [chatId] [amount]');
+    }
+    
+    const result = await depositService.creditUnmatchedDeposit(unmatchedId, creditChatId, amount || null);
+    
+    if (!result.success) {
+      return adminBot.sendMessage(chatId, `❌ Failed to credit unmatched deposit: ${result.error}`);
+    }
+    
+    const { unmatched, transaction } = result;
+    
+    adminBot.sendMessage(chatId, `
+✅ *Unmatched Deposit Credited*
+
+ID: #${unmatched.id}
+User: ${creditChatId}
+Credited: ${formatUSDT(transaction.amount)} of ${formatUSDT(unmatched.amount)} USDT
+Deposit Transaction: #${transaction.id}
+${unmatched.status === 'partially_credited' ? `\nUse /refund_unmatched ${unmatched.id} to refund the remainder.` : ''}
+    `, { parse_mode: 'Markdown' });
+  } catch (error) {
+    logger.error(`Error crediting unmatched deposit:`, error);
+    adminBot.sendMessage(chatId, '❌ An error occurred while crediting the unmatched deposit.');
+  }
+});
+
+// Command: /refund_unmatched [id]
+adminBot.onText(/\/refund_unmatched (.+)/, async (msg, match) => {
+  const chatId = msg.chat.id.toString();
+  
+  if (!isAdmin(chatId)) {
+    return adminBot.sendMessage(chatId, '⛔ You are not authorized to use this bot.');
+  }
+  
+  const unmatchedId = match[1].trim();
+  
+  try {
+    const result = await depositService.refundUnmatchedDeposit(unmatchedId);
+    
+    if (!result.success) {
+      return adminBot.sendMessage(chatId, `❌ Failed to refund unmatched deposit: ${result.error}`);
+    }
+    
+    adminBot.sendMessage(chatId, `
+↩️ *Unmatched Deposit Refunded*
+
+ID: #${result.unmatched.id}
+Amount: ${formatUSDT(result.amount)} USDT
+To: \`${result.unmatched.fromAddress}\`
+TX Hash: \`${result.txHash}\`
+    `, { parse_mode: 'Markdown' });
+  } catch (error) {
+    logger.error(`Error refunding unmatched deposit:`, error);
+    adminBot.sendMessage(chatId, '❌ An error occurred while refunding the unmatched deposit.');
+  }
+});
+
 // Handle callback queries (inline keyboard buttons)
 adminBot.on('callback_query', async (query) => {
   const chatId = query.message.chat.id.toString();
@@ -524,6 +1389,65 @@ adminBot.on('callback_query', async (query) => {
   adminBot.answerCallbackQuery(query.id);
   
   try {
+    // Withdrawal approval buttons carry the transaction ID
+    const [action, transactionId] = data.split(':');
+    if (action === 'approve_withdrawal' || action === 'reject_withdrawal') {
+      // Remove the buttons so the card cannot be decided twice
+      adminBot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+        chat_id: chatId,
+        message_id: query.message.message_id
+      });
+      
+      await decideWithdrawal(
+        chatId,
+        action === 'approve_withdrawal',
+        transactionId,
+        'Withdrawal request was rejected by the administrator.'
+      );
+      return;
+    }
+    
+    // Adjustment confirmation buttons carry the transaction ID too
+    if (action === 'confirm_adjustment' || action === 'cancel_adjustment') {
+      // Remove the buttons so the adjustment cannot be applied twice
+      adminBot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+        chat_id: chatId,
+        message_id: query.message.message_id
+      });
+      
+      await decideAdjustment(chatId, action === 'confirm_adjustment', transactionId);
+      return;
+    }
+    
+    // Buy review buttons carry the transaction ID too
+    if (action === 'approve_buy' || action === 'reject_buy') {
+      // Remove the buttons so the buy cannot be decided twice
+      adminBot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+        chat_id: chatId,
+        message_id: query.message.message_id
+      });
+      
+      await decideBuy(
+        chatId,
+        action === 'approve_buy',
+        transactionId,
+        'Your payment could not be verified.'
+      );
+      return;
+    }
+    
+    // Stuck withdrawal buttons carry the transaction ID as well
+    if (action === 'speed_up_withdrawal' || action === 'cancel_withdrawal') {
+      // Remove the buttons so repeated clicks cannot stack replacements
+      adminBot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+        chat_id: chatId,
+        message_id: query.message.message_id
+      });
+      
+      await replaceStuckWithdrawal(chatId, action === 'cancel_withdrawal', transactionId);
+      return;
+    }
+    
     switch (data) {
       case 'system_overview':
         // Get system metrics
@@ -544,16 +1468,37 @@ adminBot.on('callback_query', async (query) => {
 - Daily: ${formatUSDT(overview.volume.daily)} USDT
 - Weekly: ${formatUSDT(overview.volume.weekly)} USDT
 
+💸 *Withdrawal Fees Earned:*
+- Daily: ${formatUSDT(overview.fees.daily)} USDT
+- Weekly: ${formatUSDT(overview.fees.weekly)} USDT
+- Monthly: ${formatUSDT(overview.fees.monthly)} USDT
+
+↩️ *Refunds:*
+- Daily: ${formatUSDT(overview.refunds.daily)} USDT
+- Weekly: ${formatUSDT(overview.refunds.weekly)} USDT
+- Monthly: ${formatUSDT(overview.refunds.monthly)} USDT
+
 💱 *Exchange Requests:*
 - Pending: ${overview.pendingExchanges}
 
-💵 *Exchange Rates:*
-- USD: ${rates.rateUSD}
-- UAH: ${rates.rateUAH}
+🛒 *Buy Requests:*
+- Awaiting review: ${overview.pendingBuys}
+
+📈 *Margin Income:*
+- Daily: ${formatFiat(overview.margins.daily.USD)} USD / ${formatFiat(overview.margins.daily.UAH)} UAH
+- Weekly: ${formatFiat(overview.margins.weekly.USD)} USD / ${formatFiat(overview.margins.weekly.UAH)} UAH
+- Monthly: ${formatFiat(overview.margins.monthly.USD)} USD / ${formatFiat(overview.margins.monthly.UAH)} UAH
+
+💵 *Exchange Rates (bid / mid / ask):*
+- USD: ${rates.rateUSD} / ${rates.midRateUSD} / ${rates.buyRateUSD}
+- UAH: ${rates.rateUAH} / ${rates.midRateUAH} / ${rates.buyRateUAH}
 
 🏦 *Wallet Balance:*
 - USDT: ${formatUSDT(walletBalance)}
 
+🔌 *RPC Provider:*
+- ${rpcService.getStatusLine()}
+
 📝 *System Configuration:*
 - Withdrawal Fee: ${config.transactions.withdrawalFee} USDT
 - Min Confirmations: ${config.transactions.minConfirmations}
@@ -600,18 +1545,23 @@ adminBot.on('callback_query', async (query) => {
         });
         break;
         
+      case 'withdrawal_approvals':
+        // Get withdrawals awaiting approval
+        const approvalsMessage = await createApprovalQueueMessage();
+        
+        adminBot.editMessageText(approvalsMessage, {
+          chat_id: chatId,
+          message_id: query.message.message_id,
+          parse_mode: 'Markdown',
+          ...createAdminMenu()
+        });
+        break;
+        
       case 'wallet_balance':
-        // Get wallet balance
-        const balance = await blockchainService.getWalletBalance();
+        // Get hot and cold wallet balances
+        const walletsMessage = await createWalletsMessage();
         
-        adminBot.editMessageText(`
-🏦 *Wallet Balance*
-
-💰 USDT: ${formatUSDT(balance)}
-
-📝 *Deposit Address:*
-\`${config.blockchain.depositAddress}\`
-        `, {
+        adminBot.editMessageText(walletsMessage, {
           chat_id: chatId,
           message_id: query.message.message_id,
           parse_mode: 'Markdown',
@@ -626,13 +1576,23 @@ adminBot.on('callback_query', async (query) => {
         adminBot.editMessageText(`
 💵 *Exchange Rates*
 
-Current Rates:
-- 1 USDT = ${currentRates.rateUSD} USD
-- 1 USDT = ${currentRates.rateUAH} UAH
+USD:
+- Mid: ${currentRates.midRateUSD}
+- Spread: ${formatSpread(currentRates.spreadTypeUSD, currentRates.spreadUSD, 'USD')}
+- Bid (users exchange at): ${currentRates.rateUSD}
+- Ask (users buy at): ${currentRates.buyRateUSD}
+
+UAH:
+- Mid: ${currentRates.midRateUAH}
+- Spread: ${formatSpread(currentRates.spreadTypeUAH, currentRates.spreadUAH, 'UAH')}
+- Bid (users exchange at): ${currentRates.rateUAH}
+- Ask (users buy at): ${currentRates.buyRateUAH}
 
 To update rates, use:
-/rate_usd [value] - Update USD rate
-/rate_uah [value] - Update UAH rate
+/rate_usd [value] - Update USD mid rate
+/rate_uah [value] - Update UAH mid rate
+/spread_usd [value|percent%] - Set USD spread
+/spread_uah [value|percent%] - Set UAH spread
         `, {
           chat_id: chatId,
           message_id: query.message.message_id,
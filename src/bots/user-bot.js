@@ -4,14 +4,23 @@ const Decimal = require('decimal.js');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const validation = require('../utils/validation');
-const { formatUSDT, formatFiat, formatStatus, createTransactionSummary } = require('../utils/format');
+const { formatUSDT, formatFiat, formatDate, formatStatus, createTransactionSummary } = require('../utils/format');
 
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const ExchangeRate = require('../models/ExchangeRate');
+const WithdrawalAddress = require('../models/WithdrawalAddress');
+const PayoutMethod = require('../models/PayoutMethod');
 
-const blockchainService = require('../services/blockchain');
 const exchangeService = require('../services/exchange');
+const depositService = require('../services/deposit');
+const hdWalletService = require('../services/hdwallet');
+const withdrawalService = require('../services/withdrawal');
+const addressBookService = require('../services/addressbook');
+const transferService = require('../services/transfer');
+const payoutService = require('../services/payout');
+const buyService = require('../services/buy');
+const { InsufficientBalanceError } = require('../services/ledger');
 
 // Create bot instance
 const bot = new TelegramBot(config.telegramToken, { polling: true });
@@ -19,9 +28,6 @@ const bot = new TelegramBot(config.telegramToken, { polling: true });
 // Admin bot for notifications
 const adminBot = new TelegramBot(config.adminTelegramToken, { polling: false });
 
-// Map to store deposit requests by chatId
-const depositRequests = new Map();
-
 // Helper function to create inline keyboard markup
 function createInlineKeyboardMarkup(buttons) {
   return {
@@ -62,6 +68,199 @@ async function ensureUserExists(chatId) {
   return !!user;
 }
 
+// Helper function to create deposit instructions message
+function createDepositMessage(depositAmount) {
+  return `
+📥 *USDT Deposit Instructions*
+
+1️⃣ Send *exactly* ${depositAmount} USDT (BEP-20) to:
+\`${config.blockchain.depositAddress}\`
+
+2️⃣ Your deposit will be credited automatically after ${config.transactions.minConfirmations} confirmations - you'll get a notification
+
+3️⃣ If it isn't credited within a few minutes, confirm it manually by sending:
+\`/confirm YOUR_TX_HASH\`
+
+⚠️ *Important Notes:*
+- Only send USDT on the BSC (BNB Smart Chain) network!
+- Send *exactly* ${depositAmount} USDT - no more, no less
+- Deposit requests expire after 24 hours
+  `;
+}
+
+// Helper function to create instructions for a dedicated deposit address
+function createDedicatedDepositMessage(depositAddress) {
+  return `
+📥 *USDT Deposit Instructions*
+
+1️⃣ Send any amount of USDT (BEP-20) to your personal deposit address:
+\`${depositAddress}\`
+
+2️⃣ Your deposit will be credited automatically after ${config.transactions.minConfirmations} confirmations - you'll get a notification
+
+3️⃣ If it isn't credited within a few minutes, confirm it manually by sending:
+\`/confirm YOUR_TX_HASH\`
+
+⚠️ *Important Notes:*
+- Only send USDT on the BSC (BNB Smart Chain) network!
+- This address is yours only and can be reused for future deposits
+  `;
+}
+
+// Helper function to start a deposit and build its instructions
+async function startDeposit(chatId, baseAmount) {
+  if (hdWalletService.isEnabled()) {
+    const user = await User.findByPk(chatId);
+    const depositAddress = await hdWalletService.ensureDepositAddress(user);
+    return createDedicatedDepositMessage(depositAddress);
+  }
+  
+  const intent = await depositService.createDepositIntent(chatId, baseAmount);
+  return createDepositMessage(formatUSDT(intent.expectedAmount));
+}
+
+// Helper function to quote an exchange paid out to a saved method
+async function sendQuote(chatId, amount, fiatType, method) {
+  const result = await exchangeService.createQuote(chatId, amount, fiatType, method.toPaymentDetails());
+  
+  if (!result.success) {
+    return bot.sendMessage(chatId, `❌ Exchange request failed: ${result.error}`);
+  }
+  
+  const { quote } = result;
+  
+  bot.sendMessage(chatId, `
+💱 *Exchange Quote #${quote.id}*
+
+💰 Amount: ${formatUSDT(quote.amount)} USDT
+📈 Rate: 1 USDT = ${quote.rate} ${quote.fiatType}
+💵 You receive: ${formatFiat(quote.fiatAmount)} ${quote.fiatType}
+💸 Pay out to: ${payoutService.describePayoutMethod(method)}
+⏱ Valid for ${config.exchange.quoteTtlSeconds} seconds
+
+Accept to lock in this rate.
+  `, {
+    parse_mode: 'Markdown',
+    ...createInlineKeyboardMarkup([
+      [
+        { text: '✅ Accept', callback_data: `accept_quote:${quote.id}` },
+        { text: '❌ Cancel', callback_data: `cancel_quote:${quote.id}` }
+      ]
+    ])
+  });
+}
+
+// Helper function to create the exchange of an accepted quote and notify admin
+async function acceptQuote(chatId, quoteId) {
+  const result = await exchangeService.acceptQuote(chatId, quoteId);
+  
+  if (!result.success) {
+    return bot.sendMessage(chatId, `❌ Exchange request failed: ${result.error}`);
+  }
+  
+  const { transaction } = result;
+  
+  // Get user for notification
+  const user = await User.findByPk(chatId);
+  
+  // Send confirmation to user
+  bot.sendMessage(chatId, `
+💱 *Exchange Request Submitted*
+
+💰 Amount: ${formatUSDT(transaction.amount)} USDT
+💵 Fiat: ${formatFiat(transaction.fiatAmount)} ${transaction.fiatType}
+📈 Rate: 1 USDT = ${transaction.rate} ${transaction.fiatType}
+💸 Pay out to: ${transaction.paymentDetails.label}
+🧾 Transaction ID: #${transaction.id}
+⏳ Status: Pending admin approval
+
+Our team will process your request shortly. 
+You'll receive a notification when it's completed.
+Changed your mind? Cancel it with \`/cancel_exchange ${transaction.id}\` until it is processed.
+  `, {
+    parse_mode: 'Markdown',
+    ...createInlineKeyboardMarkup([
+      [{ text: '🚫 Cancel Exchange', callback_data: `cancel_exchange:${transaction.id}` }]
+    ])
+  });
+  
+  // Notify admin
+  const adminNotification = exchangeService.formatAdminExchangeNotification(
+    transaction,
+    user
+  );
+  
+  adminBot.sendMessage(config.adminChatId, adminNotification, {
+    parse_mode: 'Markdown'
+  });
+  
+  // Log exchange request
+  logger.info(`Exchange request created for user ${chatId}: ${formatUSDT(transaction.amount)} USDT to ${formatFiat(transaction.fiatAmount)} ${transaction.fiatType}`);
+}
+
+// Helper function to cancel a pending exchange and notify admin
+async function cancelExchange(chatId, transactionId) {
+  const result = await exchangeService.cancelExchange(chatId, transactionId);
+  
+  if (!result.success) {
+    return bot.sendMessage(chatId, `❌ ${result.error}`);
+  }
+  
+  const { transaction, refund } = result;
+  const balance = await Transaction.getUserBalance(chatId);
+  
+  bot.sendMessage(chatId, `
+🚫 *Exchange Cancelled*
+
+🧾 Transaction ID: #${transaction.id}
+↩️ Refund: ${formatUSDT(refund.amount)} USDT
+📊 Balance: ${formatUSDT(balance)} USDT
+  `, {
+    parse_mode: 'Markdown',
+    ...createMainMenu()
+  });
+  
+  adminBot.sendMessage(config.adminChatId, `🚫 Exchange #${transaction.id} of ${formatUSDT(transaction.amount)} USDT was cancelled by user ${chatId} and refunded. Do not pay it out.`);
+  
+  logger.info(`Exchange #${transaction.id} cancelled by user ${chatId}`);
+}
+
+// Helper function to explain how to save a payout method
+function createAddPayoutHelp() {
+  return `
+Save one with /add_payout:
+\`/add_payout mono,card,4111111111111111\` - UAH card
+\`/add_payout bank,iban,UA213223130000026007233566001,Full Name\` - IBAN
+\`/add_payout usd,swift,BICCODE,accountNumber,Beneficiary Name\` - USD via SWIFT
+\`/add_payout kyiv,cash,Kyiv\` - Cash pickup
+  `;
+}
+
+// Helper function to attach a payment proof to the user's pending buy
+async function submitPaymentProof(chatId, proof) {
+  const result = await buyService.submitPaymentProof(chatId, proof);
+  
+  if (!result.success) {
+    return bot.sendMessage(chatId, `❌ ${result.error}`);
+  }
+  
+  const { transaction } = result;
+  
+  bot.sendMessage(chatId, `
+🧾 *Payment Proof Received*
+
+💵 Paid: ${formatFiat(transaction.fiatAmount)} ${transaction.fiatType}
+💰 To be credited: ${formatUSDT(transaction.amount)} USDT
+🧾 Transaction ID: #${transaction.id}
+⏳ Status: Pending admin review
+
+You'll receive a notification once your payment is verified.
+  `, {
+    parse_mode: 'Markdown',
+    ...createMainMenu()
+  });
+}
+
 // Helper function to handle errors
 function handleError(chatId, error) {
   logger.error(`Error for user ${chatId}:`, error);
@@ -85,7 +284,19 @@ I'll help you deposit, withdraw, and exchange your USDT (BEP-20) cryptocurrency.
 /balance - Check your current balance
 /deposit - Start a deposit process
 /withdraw amount,walletAddress - Withdraw USDT to external wallet
-/exchange amount,fiatType - Exchange USDT to USD or UAH
+/withdraw amount,label - Withdraw USDT to a saved address
+/addresses - View your saved withdrawal addresses
+/add_address walletAddress,label - Save a withdrawal address
+/remove_address label - Remove a saved address
+/whitelist_only on|off - Allow withdrawals to saved addresses only
+/send amount,@username - Send USDT to another user (no fee)
+/exchange amount,fiatType[,payoutLabel] - Exchange USDT to USD or UAH
+/cancel_exchange id - Cancel an exchange that is still pending
+/buy fiatAmount,fiatType - Buy USDT with USD or UAH
+/paid reference - Confirm your payment for a buy (or send a photo of the receipt)
+/payout_methods - View your saved fiat payout methods
+/add_payout label,method,details - Save a payout method (card, iban, swift, cash)
+/remove_payout label - Remove a saved payout method
 /history - View your transaction history
 
 You can also use the menu below to navigate:
@@ -129,33 +340,12 @@ bot.onText(/\/deposit/, async (msg) => {
       await registerUser(msg);
     }
     
-    // Generate random amount for deposit identification
-    const randomAmount = (Math.floor(Math.random() * 10000) / 10000).toFixed(4);
-    const depositAmount = new Decimal(msg.text.split(' ')[1] || '10').plus(randomAmount).toFixed(6);
-    
-    // Store deposit request
-    depositRequests.set(chatId, {
-      amount: depositAmount,
-      timestamp: Date.now()
-    });
+    const baseAmount = msg.text.split(' ')[1] || '10';
+    if (!validation.isValidAmount(baseAmount)) {
+      return bot.sendMessage(chatId, '❌ Invalid amount. Use: /deposit [amount]');
+    }
     
-    const depositMessage = `
-📥 *USDT Deposit Instructions*
-
-1️⃣ Send *exactly* ${depositAmount} USDT (BEP-20) to:
-\`${config.blockchain.depositAddress}\`
-
-2️⃣ After sending, copy your transaction hash (TX ID) from your wallet or blockchain explorer
-
-3️⃣ Confirm your deposit by sending:
-\`/confirm YOUR_TX_HASH\`
-
-⚠️ *Important Notes:*
-- Only send USDT on the BSC (BNB Smart Chain) network!
-- Send *exactly* ${depositAmount} USDT - no more, no less
-- Wait for at least 5 confirmations before confirming
-- Deposit requests expire after 24 hours
-    `;
+    const depositMessage = await startDeposit(chatId, baseAmount);
     
     bot.sendMessage(chatId, depositMessage, {
       parse_mode: 'Markdown',
@@ -185,67 +375,59 @@ bot.onText(/\/confirm (.+)/, async (msg, match) => {
       return bot.sendMessage(chatId, '❌ Invalid transaction hash format. Please check and try again.');
     }
     
-    // Check if there's an active deposit request
-    const depositRequest = depositRequests.get(chatId);
-    if (!depositRequest) {
-      return bot.sendMessage(chatId, '❌ No active deposit request found. Please start a new deposit with /deposit.');
-    }
-    
-    // Check if deposit request has expired (24 hours)
-    if (Date.now() - depositRequest.timestamp > 24 * 60 * 60 * 1000) {
-      depositRequests.delete(chatId);
-      return bot.sendMessage(chatId, '❌ Deposit request has expired. Please start a new deposit with /deposit.');
-    }
-    
     // Send processing message
     const processingMsg = await bot.sendMessage(chatId, '⏳ Verifying your transaction. This may take a few moments...');
     
-    // Verify transaction
-    const verificationResult = await blockchainService.verifyDepositTransaction(txHash, depositRequest.amount);
+    // Verify transaction and credit or queue its transfers
+    const result = await depositService.confirmDeposit(chatId, txHash);
     
-    if (!verificationResult.verified) {
-      return bot.sendMessage(chatId, `❌ Verification failed: ${verificationResult.reason}`);
+    if (!result.success) {
+      return bot.sendMessage(chatId, `❌ ${result.error}`);
     }
     
-    // Create deposit transaction
-    const transaction = await Transaction.createDeposit(chatId, depositRequest.amount);
+    // Get updated balance
+    const balance = await Transaction.getUserBalance(chatId);
     
-    // Update transaction with verification details
-    transaction.txHash = txHash;
-    transaction.status = 'completed';
-    transaction.completedAt = new Date();
-    transaction.confirmations = verificationResult.confirmations;
-    await transaction.save();
+    let message;
+    if (result.credited.length > 0) {
+      message = '✅ *Deposit Verified Successfully!*\n\n';
+    } else if (result.pending.length > 0) {
+      message = '⏳ *Deposit Awaiting Confirmations*\n\n';
+    } else {
+      message = '⚠️ *Deposit Sent for Review*\n\n';
+    }
     
-    // Clear deposit request
-    depositRequests.delete(chatId);
+    for (const transaction of result.credited) {
+      message += `💰 Amount: ${formatUSDT(transaction.amount)} USDT\n`;
+      message += `🧾 Transaction ID: #${transaction.id}\n\n`;
+    }
     
-    // Get updated balance
-    const balance = await Transaction.getUserBalance(chatId);
+    for (const transaction of result.pending) {
+      message += `💰 Amount: ${formatUSDT(transaction.amount)} USDT\n`;
+      message += `🧾 Transaction ID: #${transaction.id}\n`;
+      message += `⏳ Confirmations: ${transaction.confirmations}/${config.transactions.minConfirmations} - it will be credited automatically\n\n`;
+    }
     
-    // Send success message
-    bot.sendMessage(chatId, `
-✅ *Deposit Verified Successfully!*
-
-💰 Amount: ${formatUSDT(transaction.amount)} USDT
-🧾 Transaction ID: #${transaction.id}
-🔗 TX Hash: \`${txHash}\`
-📊 New Balance: ${formatUSDT(balance)} USDT
-
-Thank you for using Hive Exchange Bot!
-    `, {
+    if (result.queued.length > 0) {
+      const queuedTotal = result.queued.reduce((sum, unmatched) => sum.plus(unmatched.amount), new Decimal(0));
+      message += `❓ ${formatUSDT(queuedTotal)} USDT did not match your deposit request and was sent to our team for manual review. You'll be notified once it's resolved.\n\n`;
+    }
+    
+    message += `🔗 TX Hash: \`${txHash}\`\n`;
+    message += `📊 Balance: ${formatUSDT(balance)} USDT\n\n`;
+    message += 'Thank you for using Hive Exchange Bot!';
+    
+    // Send result message
+    bot.sendMessage(chatId, message, {
       parse_mode: 'Markdown',
       ...createMainMenu()
     });
-    
-    // Log successful deposit
-    logger.info(`Deposit verified for user ${chatId}: ${formatUSDT(transaction.amount)} USDT, TX: ${txHash}`);
   } catch (error) {
     handleError(chatId, error);
   }
 });
 
-// Command: /withdraw amount,walletAddress
+// Command: /withdraw amount,walletAddress|label
 bot.onText(/\/withdraw (.+)/, async (msg, match) => {
   const chatId = msg.chat.id.toString();
   const command = match[1];
@@ -255,13 +437,25 @@ bot.onText(/\/withdraw (.+)/, async (msg, match) => {
       await registerUser(msg);
     }
     
+    if (!withdrawalService.isEnabled()) {
+      return bot.sendMessage(chatId, '⚠️ Withdrawals are temporarily unavailable. Please try again later.');
+    }
+    
     // Parse withdraw command
     const parsed = validation.parseWithdrawCommand(command);
     if (!parsed) {
-      return bot.sendMessage(chatId, '❌ Invalid format. Use: /withdraw amount,walletAddress');
+      return bot.sendMessage(chatId, '❌ Invalid format. Use: /withdraw amount,walletAddress or /withdraw amount,label');
     }
     
-    const { amount, address } = parsed;
+    const { amount } = parsed;
+    const user = await User.findByPk(chatId);
+    
+    // Check the destination against the address book
+    const resolved = await addressBookService.resolveWithdrawalAddress(user, parsed);
+    if (!resolved.success) {
+      return bot.sendMessage(chatId, `❌ ${resolved.error}`, { parse_mode: 'Markdown' });
+    }
+    const address = resolved.address;
     
     // Check user balance
     const balance = await Transaction.getUserBalance(chatId);
@@ -279,39 +473,277 @@ Your balance: ${formatUSDT(balance)} USDT
       `, { parse_mode: 'Markdown' });
     }
     
-    // Create withdrawal transaction
-    const transaction = await Transaction.createWithdrawal(chatId, amount, address, withdrawalFee);
-    
-    // Process withdrawal
-    const processingMsg = await bot.sendMessage(chatId, '⏳ Processing your withdrawal. This may take a few moments...');
+    // Large withdrawals and flagged users wait for an admin
+    const needsApproval = withdrawalService.requiresApproval(user, amount);
     
-    const result = await blockchainService.processWithdrawal(transaction);
+    // Queue withdrawal transaction; the withdrawal worker sends it
+    let transaction;
+    try {
+      transaction = await withdrawalService.createWithdrawal(
+        chatId,
+        amount,
+        address,
+        withdrawalFee,
+        needsApproval ? 'pending_approval' : 'pending'
+      );
+    } catch (error) {
+      // A concurrent request spent the balance after the check above
+      if (error instanceof InsufficientBalanceError) {
+        return bot.sendMessage(chatId, `❌ ${error.message}`);
+      }
+      throw error;
+    }
     
-    if (!result.success) {
-      return bot.sendMessage(chatId, `❌ Withdrawal failed: ${result.error}`);
+    if (needsApproval) {
+      await withdrawalService.requestApproval(transaction, user);
     }
     
     // Get updated balance
     const newBalance = await Transaction.getUserBalance(chatId);
     
-    // Send success message
+    // Send confirmation message
     bot.sendMessage(chatId, `
-✅ *Withdrawal Successful!*
+⏳ *Withdrawal ${needsApproval ? 'Awaiting Approval' : 'Queued'}*
 
 💰 Amount: ${formatUSDT(amount)} USDT
 📬 Address: \`${address}\`
-🔗 TX Hash: \`${result.txHash}\`
 💸 Fee: ${withdrawalFee} USDT
+🧾 Transaction ID: #${transaction.id}
 📊 New Balance: ${formatUSDT(newBalance)} USDT
 
-Thank you for using Hive Exchange Bot!
+${needsApproval
+  ? 'This withdrawal needs to be reviewed by our team. You\'ll be notified once it is approved or rejected.'
+  : 'You\'ll be notified when it is broadcast and again once it is confirmed.'}
     `, {
       parse_mode: 'Markdown',
       ...createMainMenu()
     });
     
-    // Log successful withdrawal
-    logger.info(`Withdrawal processed for user ${chatId}: ${formatUSDT(amount)} USDT to ${address}, TX: ${result.txHash}`);
+    // Log queued withdrawal
+    logger.info(`Withdrawal queued for user ${chatId}: ${formatUSDT(amount)} USDT to ${address}, transaction: #${transaction.id}`);
+  } catch (error) {
+    handleError(chatId, error);
+  }
+});
+
+// Command: /send
+bot.onText(/\/send (.+)/, async (msg, match) => {
+  const chatId = msg.chat.id.toString();
+  const command = match[1];
+  
+  try {
+    if (!await ensureUserExists(chatId)) {
+      await registerUser(msg);
+    }
+    
+    // Parse send command
+    const parsed = validation.parseSendCommand(command);
+    if (!parsed) {
+      return bot.sendMessage(chatId, '❌ Invalid format. Use: /send amount,@username or /send amount,chatId');
+    }
+    
+    const { amount, ...recipient } = parsed;
+    const result = await transferService.sendTransfer(chatId, amount, recipient);
+    
+    if (!result.success) {
+      return bot.sendMessage(chatId, `❌ ${result.error}`);
+    }
+    
+    const newBalance = await Transaction.getUserBalance(chatId);
+    
+    bot.sendMessage(chatId, `
+✅ *Transfer Sent*
+
+💰 Amount: ${formatUSDT(amount)} USDT
+👤 To: \`${transferService.describeUser(result.recipient)}\`
+🧾 Transaction ID: #${result.transaction.id}
+📊 New Balance: ${formatUSDT(newBalance)} USDT
+    `, {
+      parse_mode: 'Markdown',
+      ...createMainMenu()
+    });
+  } catch (error) {
+    handleError(chatId, error);
+  }
+});
+
+// Command: /addresses
+bot.onText(/\/addresses/, async (msg) => {
+  const chatId = msg.chat.id.toString();
+  
+  try {
+    if (!await ensureUserExists(chatId)) {
+      await registerUser(msg);
+    }
+    
+    const user = await User.findByPk(chatId);
+    const entries = await WithdrawalAddress.getAddressBook(chatId);
+    
+    let message = `📒 *Withdrawal Addresses*\n\nWhitelist-only mode: ${user.whitelistOnly ? 'ON' : 'OFF'}\n\n`;
+    
+    if (entries.length === 0) {
+      message += 'No saved addresses yet. Use /add_address walletAddress,label';
+    } else {
+      for (const entry of entries) {
+        message += `*${entry.label || 'No label'}*\n`;
+        message += `\`${entry.address}\`\n`;
+        message += entry.isActive()
+          ? '✅ Active\n\n'
+          : `🔒 Usable from ${formatDate(entry.activatesAt)}\n\n`;
+      }
+    }
+    
+    bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  } catch (error) {
+    handleError(chatId, error);
+  }
+});
+
+// Command: /add_address walletAddress,label
+bot.onText(/\/add_address (.+)/, async (msg, match) => {
+  const chatId = msg.chat.id.toString();
+  
+  try {
+    if (!await ensureUserExists(chatId)) {
+      await registerUser(msg);
+    }
+    
+    const parsed = validation.parseAddAddressCommand(match[1]);
+    if (!parsed) {
+      return bot.sendMessage(chatId, '❌ Invalid format. Use: /add_address walletAddress,label');
+    }
+    
+    const result = await addressBookService.addAddress(chatId, parsed.address, parsed.label);
+    if (!result.success) {
+      return bot.sendMessage(chatId, `❌ ${result.error}`);
+    }
+    
+    const { entry } = result;
+    bot.sendMessage(chatId, `
+✅ *Address Saved*
+
+🏷 Label: ${entry.label}
+📬 Address: \`${entry.address}\`
+${entry.isActive()
+  ? 'The address can be used right away.'
+  : `🔒 For your security, the address can be used from ${formatDate(entry.activatesAt)}.`}
+    `, { parse_mode: 'Markdown' });
+  } catch (error) {
+    handleError(chatId, error);
+  }
+});
+
+// Command: /remove_address label
+bot.onText(/\/remove_address (.+)/, async (msg, match) => {
+  const chatId = msg.chat.id.toString();
+  
+  try {
+    const removed = await addressBookService.removeAddress(chatId, match[1].trim());
+    
+    bot.sendMessage(chatId, removed
+      ? '✅ Address removed from your address book.'
+      : '❌ No saved address with that label or address. See /addresses');
+  } catch (error) {
+    handleError(chatId, error);
+  }
+});
+
+// Command: /whitelist_only on|off
+bot.onText(/\/whitelist_only (on|off)/, async (msg, match) => {
+  const chatId = msg.chat.id.toString();
+  
+  try {
+    if (!await ensureUserExists(chatId)) {
+      await registerUser(msg);
+    }
+    
+    const enabled = match[1] === 'on';
+    await User.update({ whitelistOnly: enabled }, { where: { chatId } });
+    
+    logger.info(`User ${chatId} turned whitelist-only mode ${match[1]}`);
+    
+    bot.sendMessage(chatId, enabled
+      ? '🔐 Whitelist-only mode is ON. Withdrawals are only allowed to addresses saved in /addresses.'
+      : '🔓 Whitelist-only mode is OFF. New addresses are saved automatically and locked for a cooldown before first use.');
+  } catch (error) {
+    handleError(chatId, error);
+  }
+});
+
+// Command: /payout_methods
+bot.onText(/\/payout_methods/, async (msg) => {
+  const chatId = msg.chat.id.toString();
+  
+  try {
+    if (!await ensureUserExists(chatId)) {
+      await registerUser(msg);
+    }
+    
+    const methods = await PayoutMethod.getPayoutMethods(chatId);
+    
+    let message = '💸 *Payout Methods*\n\n';
+    
+    if (methods.length === 0) {
+      message += `No saved payout methods yet.\n${createAddPayoutHelp()}`;
+    } else {
+      for (const method of methods) {
+        message += `*${method.label}*\n`;
+        message += `${payoutService.describePayoutMethod(method)}\n`;
+        message += `Receives: ${PayoutMethod.PAYOUT_METHOD_CURRENCIES[method.type].join(', ')}\n\n`;
+      }
+    }
+    
+    bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  } catch (error) {
+    handleError(chatId, error);
+  }
+});
+
+// Command: /add_payout label,method,details
+bot.onText(/\/add_payout (.+)/, async (msg, match) => {
+  const chatId = msg.chat.id.toString();
+  
+  try {
+    if (!await ensureUserExists(chatId)) {
+      await registerUser(msg);
+    }
+    
+    const parsed = validation.parseAddPayoutCommand(match[1]);
+    if (!parsed) {
+      return bot.sendMessage(chatId, `❌ Invalid payout method. Check the card number, IBAN or SWIFT code.\n${createAddPayoutHelp()}`, {
+        parse_mode: 'Markdown'
+      });
+    }
+    
+    const result = await payoutService.addPayoutMethod(chatId, parsed);
+    if (!result.success) {
+      return bot.sendMessage(chatId, `❌ ${result.error}`);
+    }
+    
+    const { method } = result;
+    bot.sendMessage(chatId, `
+✅ *Payout Method Saved*
+
+🏷 Label: ${method.label}
+💸 ${payoutService.describePayoutMethod(method)}
+
+Use it with: \`/exchange amount,${PayoutMethod.PAYOUT_METHOD_CURRENCIES[method.type][0]},${method.label}\`
+    `, { parse_mode: 'Markdown' });
+  } catch (error) {
+    handleError(chatId, error);
+  }
+});
+
+// Command: /remove_payout label
+bot.onText(/\/remove_payout (.+)/, async (msg, match) => {
+  const chatId = msg.chat.id.toString();
+  
+  try {
+    const removed = await payoutService.removePayoutMethod(chatId, match[1].trim());
+    
+    bot.sendMessage(chatId, removed
+      ? '✅ Payout method removed.'
+      : '❌ No saved payout method with that label. See /payout_methods');
   } catch (error) {
     handleError(chatId, error);
   }
@@ -333,46 +765,131 @@ bot.onText(/\/exchange (.+)/, async (msg, match) => {
       return bot.sendMessage(chatId, '❌ Invalid format. Use: /exchange amount,fiatType (USD or UAH)');
     }
     
-    const { amount, fiatType } = parsed;
+    const { amount, fiatType, payoutLabel } = parsed;
+    
+    if (payoutLabel) {
+      const resolved = await payoutService.resolvePayoutMethod(chatId, { label: payoutLabel }, fiatType);
+      if (!resolved.success) {
+        return bot.sendMessage(chatId, `❌ ${resolved.error}`);
+      }
+      
+      return await sendQuote(chatId, amount, fiatType, resolved.method);
+    }
+    
+    // Ask where to send the fiat
+    const methods = await payoutService.getMethodsFor(chatId, fiatType);
+    if (methods.length === 0) {
+      return bot.sendMessage(chatId, `❌ You have no saved payout method that can receive ${fiatType}.\n${createAddPayoutHelp()}`, {
+        parse_mode: 'Markdown'
+      });
+    }
+    
+    bot.sendMessage(chatId, `💸 Where should we send ${fiatType} for your exchange of ${formatUSDT(amount)} USDT?`, createInlineKeyboardMarkup(
+      methods.map(method => [{
+        text: `${method.label}: ${payoutService.describePayoutMethod(method)}`,
+        callback_data: `exchange_payout:${method.id}:${amount}:${fiatType}`
+      }])
+    ));
+  } catch (error) {
+    handleError(chatId, error);
+  }
+});
+
+// Command: /buy fiatAmount,fiatType
+bot.onText(/\/buy (.+)/, async (msg, match) => {
+  const chatId = msg.chat.id.toString();
+  const command = match[1];
+  
+  try {
+    if (!await ensureUserExists(chatId)) {
+      await registerUser(msg);
+    }
+    
+    // Parse buy command
+    const parsed = validation.parseBuyCommand(command);
+    if (!parsed) {
+      return bot.sendMessage(chatId, '❌ Invalid format. Use: /buy fiatAmount,fiatType (USD or UAH)');
+    }
     
-    // Process exchange request
-    const result = await exchangeService.processExchangeRequest(chatId, amount, fiatType);
+    const result = await buyService.createBuyRequest(chatId, parsed.fiatAmount, parsed.fiatType);
     
     if (!result.success) {
-      return bot.sendMessage(chatId, `❌ Exchange request failed: ${result.error}`);
+      return bot.sendMessage(chatId, `❌ Buy request failed: ${result.error}`);
     }
     
-    // Get user for notification
-    const user = await User.findByPk(chatId);
+    const { transaction, requisites } = result;
     
-    // Send confirmation to user
     bot.sendMessage(chatId, `
-💱 *Exchange Request Submitted*
+🛒 *Buy Request #${transaction.id}*
 
-💰 Amount: ${formatUSDT(amount)} USDT
-💵 Fiat: ${formatFiat(result.fiatAmount)} ${fiatType}
-🧾 Transaction ID: #${result.transaction.id}
-⏳ Status: Pending admin approval
+💵 You pay: ${formatFiat(transaction.fiatAmount)} ${transaction.fiatType}
+📈 Rate: 1 USDT = ${transaction.rate} ${transaction.fiatType}
+💰 You receive: ${formatUSDT(transaction.amount)} USDT
 
-Our team will process your request shortly. 
-You'll receive a notification when it's completed.
+1️⃣ Pay *exactly* ${formatFiat(transaction.fiatAmount)} ${transaction.fiatType} to:
+${requisites}
+
+2️⃣ Send a photo of the receipt here, or the payment reference:
+\`/paid REFERENCE\`
+
+Your balance is credited once an admin verifies the payment.
     `, {
-      parse_mode: 'Markdown',
-      ...createMainMenu()
+      parse_mode: 'Markdown'
     });
     
-    // Notify admin
-    const adminNotification = exchangeService.formatAdminExchangeNotification(
-      result.transaction,
-      user
-    );
+    logger.info(`Buy request created for user ${chatId}: ${formatFiat(transaction.fiatAmount)} ${transaction.fiatType} for ${formatUSDT(transaction.amount)} USDT`);
+  } catch (error) {
+    handleError(chatId, error);
+  }
+});
+
+// Command: /paid reference
+bot.onText(/\/paid (.+)/, async (msg, match) => {
+  const chatId = msg.chat.id.toString();
+  
+  try {
+    if (!await ensureUserExists(chatId)) {
+      await registerUser(msg);
+    }
     
-    adminBot.sendMessage(config.adminChatId, adminNotification, {
-      parse_mode: 'Markdown'
-    });
+    await submitPaymentProof(chatId, { type: 'reference', reference: match[1].trim() });
+  } catch (error) {
+    handleError(chatId, error);
+  }
+});
+
+// Photo: payment receipt for a pending buy
+bot.on('photo', async (msg) => {
+  const chatId = msg.chat.id.toString();
+  
+  try {
+    if (!await ensureUserExists(chatId)) {
+      await registerUser(msg);
+    }
     
-    // Log exchange request
-    logger.info(`Exchange request created for user ${chatId}: ${formatUSDT(amount)} USDT to ${formatFiat(result.fiatAmount)} ${fiatType}`);
+    // Telegram sends several sizes, the last one is the largest
+    const photo = msg.photo[msg.photo.length - 1];
+    await submitPaymentProof(chatId, { type: 'photo', fileId: photo.file_id });
+  } catch (error) {
+    handleError(chatId, error);
+  }
+});
+
+// Command: /cancel_exchange id
+bot.onText(/\/cancel_exchange (.+)/, async (msg, match) => {
+  const chatId = msg.chat.id.toString();
+  
+  try {
+    if (!await ensureUserExists(chatId)) {
+      await registerUser(msg);
+    }
+    
+    const transactionId = match[1].trim().replace(/^#/, '');
+    if (!/^\d+$/.test(transactionId)) {
+      return bot.sendMessage(chatId, '❌ Invalid format. Use: /cancel_exchange id');
+    }
+    
+    await cancelExchange(chatId, transactionId);
   } catch (error) {
     handleError(chatId, error);
   }
@@ -425,6 +942,59 @@ bot.on('callback_query', async (query) => {
     // Acknowledge the callback query
     bot.answerCallbackQuery(query.id);
     
+    // Payout method choice of an exchange carries the method, amount and currency
+    const [action, ...args] = data.split(':');
+    if (action === 'exchange_payout') {
+      const [methodId, amount, fiatType] = args;
+      
+      // Remove the buttons so the exchange cannot be submitted twice
+      bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+        chat_id: chatId,
+        message_id: query.message.message_id
+      });
+      
+      const resolved = await payoutService.resolvePayoutMethod(chatId, { id: methodId }, fiatType);
+      if (!resolved.success) {
+        return bot.sendMessage(chatId, `❌ ${resolved.error}`);
+      }
+      
+      await sendQuote(chatId, amount, fiatType, resolved.method);
+      return;
+    }
+    
+    // Quote buttons carry the quote ID
+    if (action === 'accept_quote' || action === 'cancel_quote') {
+      const [quoteId] = args;
+      
+      // Remove the buttons so the quote cannot be accepted twice
+      bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+        chat_id: chatId,
+        message_id: query.message.message_id
+      });
+      
+      if (action === 'accept_quote') {
+        await acceptQuote(chatId, quoteId);
+      } else {
+        const cancelled = await exchangeService.cancelQuote(chatId, quoteId);
+        bot.sendMessage(chatId, cancelled ? `🚫 Quote #${quoteId} cancelled.` : `❌ Quote #${quoteId} is no longer open.`);
+      }
+      return;
+    }
+    
+    // Cancel button of a submitted exchange carries the transaction ID
+    if (action === 'cancel_exchange') {
+      const [transactionId] = args;
+      
+      // Remove the button so the exchange cannot be cancelled twice
+      bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+        chat_id: chatId,
+        message_id: query.message.message_id
+      });
+      
+      await cancelExchange(chatId, transactionId);
+      return;
+    }
+    
     switch (data) {
       case 'start':
         // Show welcome message again
@@ -458,32 +1028,7 @@ Select an option from the menu below:
         
       case 'deposit':
         // Start deposit process
-        const randomAmount = (Math.floor(Math.random() * 10000) / 10000).toFixed(4);
-        const depositAmount = new Decimal('10').plus(randomAmount).toFixed(6);
-        
-        // Store deposit request
-        depositRequests.set(chatId, {
-          amount: depositAmount,
-          timestamp: Date.now()
-        });
-        
-        const depositMessage = `
-📥 *USDT Deposit Instructions*
-
-1️⃣ Send *exactly* ${depositAmount} USDT (BEP-20) to:
-\`${config.blockchain.depositAddress}\`
-
-2️⃣ After sending, copy your transaction hash (TX ID) from your wallet or blockchain explorer
-
-3️⃣ Confirm your deposit by sending:
-\`/confirm YOUR_TX_HASH\`
-
-⚠️ *Important Notes:*
-- Only send USDT on the BSC (BNB Smart Chain) network!
-- Send *exactly* ${depositAmount} USDT - no more, no less
-- Wait for at least 5 confirmations before confirming
-- Deposit requests expire after 24 hours
-        `;
+        const depositMessage = await startDeposit(chatId);
         
         bot.editMessageText(depositMessage, {
           chat_id: chatId,
@@ -504,6 +1049,8 @@ Select an option from the menu below:
 
 To withdraw USDT, use the following command:
 \`/withdraw amount,walletAddress\`
+or, for a saved address:
+\`/withdraw amount,label\`
 
 *Example:*
 \`/withdraw 50,0x1234...5678\`
@@ -512,6 +1059,7 @@ To withdraw USDT, use the following command:
 - Withdrawal fee: ${config.transactions.withdrawalFee} USDT
 - Only BEP-20 addresses are supported
 - Double-check your wallet address before confirming
+- New addresses are locked for ${config.transactions.newAddressCooldownHours} hours before first use
         `;
         
         bot.editMessageText(withdrawMessage, {
@@ -527,27 +1075,37 @@ To withdraw USDT, use the following command:
         break;
         
       case 'exchange':
-        // Show exchange options
-        const rates = await ExchangeRate.getCurrentRates();
+        // Show exchange options with the bid (/exchange) and ask (/buy) prices
+        const bidUSD = await ExchangeRate.getPrice('USD', 'bid');
+        const bidUAH = await ExchangeRate.getPrice('UAH', 'bid');
+        const askUSD = await ExchangeRate.getPrice('USD', 'ask');
+        const askUAH = await ExchangeRate.getPrice('UAH', 'ask');
         
         const exchangeMessage = `
 💱 *Exchange USDT to Fiat*
 
-Current Exchange Rates:
-- 1 USDT = ${rates.rateUSD} USD
-- 1 USDT = ${rates.rateUAH} UAH
+You sell (bid, /exchange):
+- 1 USDT = ${bidUSD.rate} USD
+- 1 USDT = ${bidUAH.rate} UAH
+
+You buy (ask, /buy):
+- 1 USDT = ${askUSD.rate} USD
+- 1 USDT = ${askUAH.rate} UAH
 
 To exchange USDT, use the following command:
 \`/exchange amount,fiatType\`
+You'll be asked which saved payout method (/payout_methods) to send the fiat to, then shown a quote to accept.
 
 *Examples:*
 \`/exchange 100,USD\`
-\`/exchange 50,UAH\`
+\`/exchange 50,UAH,mono\`
 
 ⚠️ *Important Notes:*
+- Quotes lock in the rate for ${config.exchange.quoteTtlSeconds} seconds
 - Exchanges are processed manually by our administrators
 - You'll receive a notification when your exchange is completed
 - Make sure you have sufficient balance before requesting an exchange
+- UAH can be paid to a card, IBAN or cash; USD to IBAN, SWIFT or cash
         `;
         
         bot.editMessageText(exchangeMessage, {
@@ -8,24 +8,103 @@ module.exports = {
   
   // Blockchain configuration
   blockchain: {
-    rpcUrl: process.env.BLOCKCHAIN_RPC_URL,
+    // Comma-separated RPC endpoints in priority order; BLOCKCHAIN_RPC_URL is still accepted for a single node
+    rpcUrls: (process.env.BLOCKCHAIN_RPC_URLS || process.env.BLOCKCHAIN_RPC_URL || '')
+      .split(',')
+      .map(url => url.trim())
+      .filter(url => url !== ''),
+    chainId: parseInt(process.env.BLOCKCHAIN_CHAIN_ID || '56'),
     usdtContractAddress: process.env.USDT_CONTRACT_ADDRESS,
     depositAddress: process.env.DEPOSIT_ADDRESS,
     privateKey: process.env.PRIVATE_KEY,
+    // HD wallet for per-user deposit addresses (xpub at m/44'/60'/0'/0, or the mnemonic itself)
+    hdXpub: process.env.HD_WALLET_XPUB,
+    hdMnemonic: process.env.HD_WALLET_MNEMONIC,
+  },
+  
+  // Hot wallet signer: 'env' (PRIVATE_KEY), 'keystore' (encrypted JSON), 'remote' (HTTP signer) or 'readonly'
+  signer: {
+    type: process.env.SIGNER_TYPE || (process.env.PRIVATE_KEY ? 'env' : 'readonly'),
+    keystorePath: process.env.SIGNER_KEYSTORE_PATH,
+    keystorePassword: process.env.SIGNER_KEYSTORE_PASSWORD,
+    keystorePasswordFile: process.env.SIGNER_KEYSTORE_PASSWORD_FILE,
+    remoteUrl: process.env.SIGNER_REMOTE_URL,
+    remoteToken: process.env.SIGNER_REMOTE_TOKEN,
+    remoteTimeoutMs: parseInt(process.env.SIGNER_REMOTE_TIMEOUT_MS || '10000'),
+  },
+  
+  // RPC failover configuration
+  rpc: {
+    mode: process.env.RPC_MODE || 'priority', // 'priority' or 'quorum'
+    quorum: parseInt(process.env.RPC_QUORUM || '2'),
+    healthCheckIntervalMs: parseInt(process.env.RPC_HEALTH_CHECK_INTERVAL_MS || '30000'),
+    maxBlockLag: parseInt(process.env.RPC_MAX_BLOCK_LAG || '5'),
+    timeoutMs: parseInt(process.env.RPC_TIMEOUT_MS || '5000'),
   },
   
   // Transaction configuration
   transactions: {
     withdrawalFee: parseFloat(process.env.WITHDRAWAL_FEE || '0.4'),
+    withdrawalApprovalThreshold: parseFloat(process.env.WITHDRAWAL_APPROVAL_THRESHOLD || '1000'),
+    newAddressCooldownHours: parseFloat(process.env.NEW_ADDRESS_COOLDOWN_HOURS || '24'),
     minConfirmations: parseInt(process.env.MIN_CONFIRMATIONS || '5'),
+    // A lagging RPC node may not have the receipt yet, so it has to stay missing this long before a deposit fails
+    missingReceiptBlocks: parseInt(process.env.MISSING_RECEIPT_BLOCKS || '50'),
+    confirmationCheckIntervalMs: parseInt(process.env.CONFIRMATION_CHECK_INTERVAL_MS || '15000'),
+  },
+  
+  // Withdrawal worker configuration
+  withdrawals: {
+    intervalMs: parseInt(process.env.WITHDRAWAL_WORKER_INTERVAL_MS || '5000'),
+    batchSize: parseInt(process.env.WITHDRAWAL_WORKER_BATCH_SIZE || '5'),
+    stuckAfterMinutes: parseInt(process.env.WITHDRAWAL_STUCK_AFTER_MINUTES || '15'),
+    gasBumpPercent: parseInt(process.env.WITHDRAWAL_GAS_BUMP_PERCENT || '25'),
+  },
+  
+  // Deposit scanner configuration
+  scanner: {
+    intervalMs: parseInt(process.env.SCANNER_INTERVAL_MS || '30000'),
+    batchSize: parseInt(process.env.SCANNER_BATCH_SIZE || '2000'),
+    startBlock: process.env.SCANNER_START_BLOCK ? parseInt(process.env.SCANNER_START_BLOCK) : null,
+  },
+  
+  // Hot wallet limits; USDT above the ceiling is swept to the cold wallet
+  hotWallet: {
+    coldAddress: process.env.COLD_WALLET_ADDRESS,
+    usdtFloor: parseFloat(process.env.HOT_WALLET_USDT_FLOOR || '1000'),
+    usdtCeiling: parseFloat(process.env.HOT_WALLET_USDT_CEILING || '10000'),
+    bnbFloor: parseFloat(process.env.HOT_WALLET_BNB_FLOOR || '0.05'),
+    minColdSweepAmount: parseFloat(process.env.COLD_SWEEP_MIN_AMOUNT || '100'),
+    checkIntervalMs: parseInt(process.env.HOT_WALLET_CHECK_INTERVAL_MS || '600000'),
+  },
+  
+  // Exchange quotes can be accepted for this long
+  exchange: {
+    quoteTtlSeconds: parseInt(process.env.EXCHANGE_QUOTE_TTL_SECONDS || '60'),
+  },
+  
+  reconciliation: {
+    intervalMs: parseInt(process.env.RECONCILIATION_INTERVAL_MS || '3600000'),
+    toleranceUsdt: parseFloat(process.env.RECONCILIATION_TOLERANCE_USDT || '1'),
+  },
+  
+  // Deposit address sweeper configuration
+  sweeper: {
+    intervalMs: parseInt(process.env.SWEEPER_INTERVAL_MS || '3600000'),
+    minAmount: parseFloat(process.env.SWEEPER_MIN_AMOUNT || '10'),
+    gasAmount: process.env.SWEEPER_GAS_AMOUNT || '0.0005',
   },
   
   // Environment
   environment: process.env.NODE_ENV || 'development',
   
-  // Default exchange rates
+  // Default mid exchange rates and the spread quoted around them
   defaultRates: {
     usd: 1.0,
-    uah: 39.5
+    uah: 39.5,
+    spreadTypeUsd: process.env.DEFAULT_SPREAD_TYPE_USD || 'percent',
+    spreadUsd: parseFloat(process.env.DEFAULT_SPREAD_USD || '1'),
+    spreadTypeUah: process.env.DEFAULT_SPREAD_TYPE_UAH || 'percent',
+    spreadUah: parseFloat(process.env.DEFAULT_SPREAD_UAH || '1')
   }
 };
\ No newline at end of file
@@ -4,6 +4,9 @@ const { sequelize, syncModels } = require('./models');
 const { testConnection } = require('./config/database');
 const { bot } = require('./bots/user-bot');
 const { adminBot } = require('./bots/admin-bot');
+const { startJobs, stopJobs } = require('./jobs');
+const { initSigner } = require('./services/signer');
+const { migrateExistingTransactions, migrateUnmatchedDeposits } = require('./services/ledger');
 
 // Handle unhandled rejections
 process.on('unhandledRejection', (reason, promise) => {
@@ -39,6 +42,23 @@ async function main() {
     process.exit(1);
   }
   
+  // Open the ledger with transactions recorded before it existed
+  try {
+    await migrateExistingTransactions();
+    await migrateUnmatchedDeposits();
+  } catch (error) {
+    logger.error('Failed to open the ledger:', error);
+    process.exit(1);
+  }
+  
+  // Unlock the hot wallet signer
+  try {
+    await initSigner();
+  } catch (error) {
+    logger.error('Failed to initialize the hot wallet signer:', error);
+    process.exit(1);
+  }
+  
   // Initialize exchange rates if not exists
   try {
     await ExchangeRate.getCurrentRates();
@@ -54,6 +74,9 @@ async function main() {
   logger.info('Starting admin bot...');
   // Admin bot polling is already started in admin-bot module
   
+  // Start background jobs
+  startJobs();
+  
   logger.info('Hive Exchange Bot is now online!');
   
   // Handle application shutdown
@@ -65,6 +88,9 @@ async function main() {
 async function shutdown() {
   logger.info('Shutting down Hive Exchange Bot...');
   
+  // Stop background jobs
+  stopJobs();
+  
   // Stop bot polling
   bot.stopPolling();
   adminBot.stopPolling();
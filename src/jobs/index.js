@@ -0,0 +1,133 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const DepositIntent = require('../models/DepositIntent');
+const ExchangeQuote = require('../models/ExchangeQuote');
+const scannerService = require('../services/scanner');
+const sweeperService = require('../services/sweeper');
+const depositService = require('../services/deposit');
+const withdrawalService = require('../services/withdrawal');
+const rpcService = require('../services/rpc');
+const hotWalletService = require('../services/hotwallet');
+const reconciliationService = require('../services/reconciliation');
+
+// Background jobs run on a fixed interval
+const jobs = [
+  {
+    name: 'check-rpc-health',
+    intervalMs: config.rpc.healthCheckIntervalMs,
+    run: async () => {
+      await rpcService.checkHealth();
+    }
+  },
+  {
+    name: 'expire-deposit-intents',
+    intervalMs: 10 * 60 * 1000,
+    run: async () => {
+      const count = await DepositIntent.expireStale();
+      if (count > 0) {
+        logger.info(`Expired ${count} stale deposit intent(s)`);
+      }
+    }
+  },
+  {
+    name: 'expire-exchange-quotes',
+    intervalMs: 10 * 60 * 1000,
+    run: async () => {
+      const count = await ExchangeQuote.expireStale();
+      if (count > 0) {
+        logger.info(`Expired ${count} stale exchange quote(s)`);
+      }
+    }
+  },
+  {
+    name: 'scan-deposits',
+    intervalMs: config.scanner.intervalMs,
+    run: async () => {
+      await scannerService.scanDeposits();
+    }
+  },
+  {
+    name: 'watch-pending-deposits',
+    intervalMs: config.transactions.confirmationCheckIntervalMs,
+    run: async () => {
+      await depositService.checkPendingDeposits();
+    }
+  },
+  {
+    name: 'process-withdrawals',
+    intervalMs: config.withdrawals.intervalMs,
+    run: async () => {
+      await withdrawalService.processWithdrawalQueue();
+    }
+  },
+  {
+    name: 'check-hot-wallet',
+    intervalMs: config.hotWallet.checkIntervalMs,
+    run: async () => {
+      await hotWalletService.checkHotWallet();
+    }
+  },
+  {
+    name: 'reconcile-balances',
+    intervalMs: config.reconciliation.intervalMs,
+    run: async () => {
+      await reconciliationService.reconcile();
+    }
+  },
+  {
+    name: 'sweep-deposit-addresses',
+    intervalMs: config.sweeper.intervalMs,
+    run: async () => {
+      await sweeperService.sweepDepositAddresses();
+    }
+  }
+];
+
+// Active interval timers
+const timers = [];
+
+/**
+ * Run a job, skipping the tick if the previous run is still in progress
+ * @param {Object} job - Job definition
+ * @returns {Promise<void>}
+ */
+async function runJob(job) {
+  if (job.running) {
+    logger.debug(`Job ${job.name} is still running, skipping this tick`);
+    return;
+  }
+  
+  job.running = true;
+  try {
+    await job.run();
+  } catch (error) {
+    logger.error(`Job ${job.name} failed:`, error);
+  } finally {
+    job.running = false;
+  }
+}
+
+/**
+ * Start all background jobs
+ */
+function startJobs() {
+  for (const job of jobs) {
+    runJob(job);
+    timers.push(setInterval(() => runJob(job), job.intervalMs));
+    logger.info(`Background job started: ${job.name}`);
+  }
+}
+
+/**
+ * Stop all background jobs
+ */
+function stopJobs() {
+  while (timers.length > 0) {
+    clearInterval(timers.pop());
+  }
+}
+
+module.exports = {
+  startJobs,
+  stopJobs
+};
@@ -0,0 +1,133 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Deposit intents expire after 24 hours
+const INTENT_TTL_MS = 24 * 60 * 60 * 1000;
+
+const DepositIntent = sequelize.define('DepositIntent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: 'Unique identifier (primary key)'
+  },
+  chatId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: "Associated user's Telegram chat ID"
+  },
+  expectedAmount: {
+    type: DataTypes.DECIMAL(24, 6),
+    allowNull: false,
+    comment: 'Exact USDT amount the user was asked to send'
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'matched', 'expired', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'open',
+    comment: 'Intent status'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Expiry timestamp'
+  },
+  txHash: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Blockchain transaction hash matched to this intent'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Creation timestamp'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Last update timestamp'
+  }
+}, {
+  tableName: 'deposit_intents',
+  timestamps: true,
+  indexes: [
+    { fields: ['chatId', 'status'] }
+  ]
+});
+
+/**
+ * Create a new deposit intent, cancelling any open intent of the user
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} expectedAmount - Exact USDT amount expected
+ * @returns {Promise<Object>} - Created intent
+ */
+DepositIntent.createIntent = async function(chatId, expectedAmount) {
+  await this.update(
+    { status: 'cancelled' },
+    { where: { chatId, status: 'open' } }
+  );
+
+  return await this.create({
+    chatId,
+    expectedAmount,
+    status: 'open',
+    expiresAt: new Date(Date.now() + INTENT_TTL_MS)
+  });
+};
+
+/**
+ * Get the active (open and unexpired) deposit intent of a user
+ * @param {string} chatId - Telegram chat ID
+ * @returns {Promise<Object|null>} - Active intent or null
+ */
+DepositIntent.getActiveIntent = async function(chatId) {
+  return await this.findOne({
+    where: {
+      chatId,
+      status: 'open',
+      expiresAt: {
+        [Op.gt]: new Date()
+      }
+    },
+    order: [['createdAt', 'DESC']]
+  });
+};
+
+/**
+ * Find the open (unexpired) deposit intent expecting an exact amount
+ * @param {string} amount - USDT amount
+ * @returns {Promise<Object|null>} - Matching intent or null
+ */
+DepositIntent.findOpenByAmount = async function(amount) {
+  return await this.findOne({
+    where: {
+      expectedAmount: amount,
+      status: 'open',
+      expiresAt: {
+        [Op.gt]: new Date()
+      }
+    }
+  });
+};
+
+/**
+ * Mark open intents past their expiry as expired
+ * @returns {Promise<number>} - Number of expired intents
+ */
+DepositIntent.expireStale = async function() {
+  const [count] = await this.update(
+    { status: 'expired' },
+    {
+      where: {
+        status: 'open',
+        expiresAt: {
+          [Op.lte]: new Date()
+        }
+      }
+    }
+  );
+
+  return count;
+};
+
+module.exports = DepositIntent;
@@ -0,0 +1,114 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Firm exchange price offered to a user, executable until it expires
+const ExchangeQuote = sequelize.define('ExchangeQuote', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: 'Unique identifier (primary key)'
+  },
+  chatId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: "Associated user's Telegram chat ID"
+  },
+  amount: {
+    type: DataTypes.DECIMAL(24, 6),
+    allowNull: false,
+    comment: 'USDT amount'
+  },
+  fiatType: {
+    type: DataTypes.ENUM('USD', 'UAH'),
+    allowNull: false,
+    comment: 'Fiat currency type (USD/UAH)'
+  },
+  rate: {
+    type: DataTypes.DECIMAL(24, 6),
+    allowNull: false,
+    comment: 'Quoted USDT to fiat rate'
+  },
+  midRate: {
+    type: DataTypes.DECIMAL(24, 6),
+    allowNull: false,
+    comment: 'Mid rate the quoted rate was priced from'
+  },
+  spread: {
+    type: DataTypes.DECIMAL(24, 6),
+    allowNull: false,
+    comment: 'Fiat per USDT between the mid and quoted rates'
+  },
+  fiatAmount: {
+    type: DataTypes.DECIMAL(24, 2),
+    allowNull: false,
+    comment: 'Quoted fiat amount'
+  },
+  paymentDetails: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'Payout method and details the fiat is sent to'
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'accepted', 'expired', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'open',
+    comment: 'Quote status'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'End of the lock-in window'
+  },
+  transactionId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Exchange transaction created when the quote was accepted'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Creation timestamp'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Last update timestamp'
+  }
+}, {
+  tableName: 'exchange_quotes',
+  timestamps: true,
+  indexes: [
+    { fields: ['chatId', 'status'] }
+  ]
+});
+
+/**
+ * Check whether the quote can still be accepted
+ * @returns {boolean} - Whether the quote is open and unexpired
+ */
+ExchangeQuote.prototype.isExecutable = function() {
+  return this.status === 'open' && this.expiresAt > new Date();
+};
+
+/**
+ * Mark open quotes past their expiry as expired
+ * @returns {Promise<number>} - Number of expired quotes
+ */
+ExchangeQuote.expireStale = async function() {
+  const [count] = await this.update(
+    { status: 'expired' },
+    {
+      where: {
+        status: 'open',
+        expiresAt: {
+          [Op.lte]: new Date()
+        }
+      }
+    }
+  );
+
+  return count;
+};
+
+module.exports = ExchangeQuote;
@@ -1,7 +1,36 @@
 const { DataTypes } = require('sequelize');
+const Decimal = require('decimal.js');
 const { sequelize } = require('../config/database');
 const config = require('../config/config');
 
+/**
+ * Price the bid and ask rates around a mid rate
+ * @param {string|number} midRate - Mid rate (fiat per USDT)
+ * @param {string} spreadType - 'fixed' (fiat per USDT) or 'percent' (of the mid rate)
+ * @param {string|number} spread - Spread applied to each side of the mid rate
+ * @returns {Object} - { bid, ask } rates as strings
+ */
+function applySpread(midRate, spreadType, spread) {
+  const mid = new Decimal(midRate);
+  const margin = spreadType === 'percent'
+    ? mid.times(spread).dividedBy(100)
+    : new Decimal(spread);
+  
+  return {
+    bid: mid.minus(margin).toFixed(6),
+    ask: mid.plus(margin).toFixed(6)
+  };
+}
+
+const defaultUSD = applySpread(config.defaultRates.usd, config.defaultRates.spreadTypeUsd, config.defaultRates.spreadUsd);
+const defaultUAH = applySpread(config.defaultRates.uah, config.defaultRates.spreadTypeUah, config.defaultRates.spreadUah);
+
+for (const [fiatType, prices] of Object.entries({ USD: defaultUSD, UAH: defaultUAH })) {
+  if (new Decimal(prices.bid).lessThanOrEqualTo(0)) {
+    throw new Error(`Default ${fiatType} spread leaves no positive bid, check DEFAULT_SPREAD_TYPE_${fiatType} and DEFAULT_SPREAD_${fiatType}`);
+  }
+}
+
 const ExchangeRate = sequelize.define('ExchangeRate', {
   id: {
     type: DataTypes.INTEGER,
@@ -10,17 +39,63 @@ const ExchangeRate = sequelize.define('ExchangeRate', {
     defaultValue: 1,
     comment: 'Fixed ID (1)'
   },
+  midRateUSD: {
+    type: DataTypes.DECIMAL(24, 6),
+    allowNull: true,
+    comment: 'USD per USDT mid rate the bid and ask are priced around (null until initialised)'
+  },
+  midRateUAH: {
+    type: DataTypes.DECIMAL(24, 6),
+    allowNull: true,
+    comment: 'UAH per USDT mid rate the bid and ask are priced around (null until initialised)'
+  },
+  spreadTypeUSD: {
+    type: DataTypes.ENUM('fixed', 'percent'),
+    allowNull: false,
+    defaultValue: config.defaultRates.spreadTypeUsd,
+    comment: 'USD spread type: fixed USD per USDT or percent of the mid rate'
+  },
+  spreadUSD: {
+    type: DataTypes.DECIMAL(24, 6),
+    allowNull: false,
+    defaultValue: config.defaultRates.spreadUsd,
+    comment: 'USD spread applied to each side of the mid rate'
+  },
+  spreadTypeUAH: {
+    type: DataTypes.ENUM('fixed', 'percent'),
+    allowNull: false,
+    defaultValue: config.defaultRates.spreadTypeUah,
+    comment: 'UAH spread type: fixed UAH per USDT or percent of the mid rate'
+  },
+  spreadUAH: {
+    type: DataTypes.DECIMAL(24, 6),
+    allowNull: false,
+    defaultValue: config.defaultRates.spreadUah,
+    comment: 'UAH spread applied to each side of the mid rate'
+  },
   rateUSD: {
     type: DataTypes.DECIMAL(24, 6),
     allowNull: false,
-    defaultValue: config.defaultRates.usd,
-    comment: 'USDT to USD conversion rate'
+    defaultValue: defaultUSD.bid,
+    comment: 'Bid: USD paid out per USDT exchanged (derived from mid rate and spread)'
   },
   rateUAH: {
     type: DataTypes.DECIMAL(24, 6),
     allowNull: false,
-    defaultValue: config.defaultRates.uah,
-    comment: 'USDT to UAH conversion rate'
+    defaultValue: defaultUAH.bid,
+    comment: 'Bid: UAH paid out per USDT exchanged (derived from mid rate and spread)'
+  },
+  buyRateUSD: {
+    type: DataTypes.DECIMAL(24, 6),
+    allowNull: false,
+    defaultValue: defaultUSD.ask,
+    comment: 'Ask: USD paid per USDT bought (derived from mid rate and spread)'
+  },
+  buyRateUAH: {
+    type: DataTypes.DECIMAL(24, 6),
+    allowNull: false,
+    defaultValue: defaultUAH.ask,
+    comment: 'Ask: UAH paid per USDT bought (derived from mid rate and spread)'
   },
   createdAt: {
     type: DataTypes.DATE,
@@ -37,6 +112,8 @@ const ExchangeRate = sequelize.define('ExchangeRate', {
   timestamps: true
 });
 
+ExchangeRate.applySpread = applySpread;
+
 /**
  * Get current exchange rates
  * @returns {Promise<Object>} - Current exchange rates
@@ -48,34 +125,64 @@ ExchangeRate.getCurrentRates = async function() {
     // Initialize with default rates if not exists
     rates = await this.create({
       id: 1,
-      rateUSD: config.defaultRates.usd,
-      rateUAH: config.defaultRates.uah
+      midRateUSD: config.defaultRates.usd,
+      midRateUAH: config.defaultRates.uah
     });
   }
   
+  // Rates set before mid rates existed become the mid rates, so nothing is repriced
+  if (rates.midRateUSD === null || rates.midRateUAH === null) {
+    if (rates.midRateUSD === null) rates.midRateUSD = rates.rateUSD;
+    if (rates.midRateUAH === null) rates.midRateUAH = rates.rateUAH;
+    await rates.save();
+  }
+  
   return rates;
 };
 
 /**
- * Update exchange rates
- * @param {Object} newRates - New exchange rates
+ * Update mid rates and spreads, repricing the bid and ask rates of the currencies they belong to
+ * @param {Object} newRates - Any of midRateUSD, midRateUAH, spreadTypeUSD, spreadUSD, spreadTypeUAH, spreadUAH
  * @returns {Promise<Object>} - Updated exchange rates
  */
 ExchangeRate.updateRates = async function(newRates) {
-  const rates = await this.findByPk(1);
+  const rates = await this.getCurrentRates();
   
-  if (rates) {
-    if (newRates.rateUSD) rates.rateUSD = newRates.rateUSD;
-    if (newRates.rateUAH) rates.rateUAH = newRates.rateUAH;
-    await rates.save();
-    return rates;
-  } else {
-    return await this.create({
-      id: 1,
-      rateUSD: newRates.rateUSD || config.defaultRates.usd,
-      rateUAH: newRates.rateUAH || config.defaultRates.uah
-    });
+  rates.set(newRates);
+  
+  // The other currency keeps its rates as they are
+  for (const fiatType of ['USD', 'UAH']) {
+    if (![`midRate${fiatType}`, `spreadType${fiatType}`, `spread${fiatType}`].some(field => rates.changed(field))) {
+      continue;
+    }
+    
+    const { bid, ask } = applySpread(rates[`midRate${fiatType}`], rates[`spreadType${fiatType}`], rates[`spread${fiatType}`]);
+    rates[`rate${fiatType}`] = bid;
+    rates[`buyRate${fiatType}`] = ask;
   }
+  
+  await rates.save();
+  return rates;
+};
+
+/**
+ * Get the rate a trade executes at together with the mid rate and spread it was priced from
+ * @param {string} fiatType - Fiat currency type
+ * @param {string} side - 'bid' when the user sells USDT (exchange), 'ask' when the user buys USDT
+ * @returns {Promise<Object>} - { rate, midRate, spread } with spread in fiat per USDT
+ */
+ExchangeRate.getPrice = async function(fiatType, side) {
+  const rates = await this.getCurrentRates();
+  const midRate = new Decimal(fiatType === 'USD' ? rates.midRateUSD : rates.midRateUAH);
+  const rate = new Decimal(side === 'bid'
+    ? (fiatType === 'USD' ? rates.rateUSD : rates.rateUAH)
+    : (fiatType === 'USD' ? rates.buyRateUSD : rates.buyRateUAH));
+  
+  return {
+    rate: rate.toFixed(6),
+    midRate: midRate.toFixed(6),
+    spread: rate.minus(midRate).abs().toFixed(6)
+  };
 };
 
 /**
@@ -91,4 +198,4 @@ ExchangeRate.convertToFiat = async function(amount, fiatType) {
   return (parseFloat(amount) * parseFloat(rate)).toFixed(2);
 };
 
-module.exports = ExchangeRate;
\ No newline at end of file
+module.exports = ExchangeRate;
@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Append-only: entries are never updated or deleted, corrections are new journals
+const LedgerEntry = sequelize.define('LedgerEntry', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: 'Unique identifier (primary key)'
+  },
+  journalId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Groups the entries of one posting; they always sum to zero'
+  },
+  account: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: "Ledger account ('user:<chatId>', 'hot_wallet', 'fee_revenue', ...)"
+  },
+  amount: {
+    type: DataTypes.DECIMAL(24, 6),
+    allowNull: false,
+    comment: 'Signed USDT amount: credits are positive, debits negative'
+  },
+  transactionId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Transaction that caused the posting, if any'
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Human-readable reason for the posting'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Creation timestamp'
+  }
+}, {
+  tableName: 'ledger_entries',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['account'] },
+    { fields: ['journalId'] },
+    { fields: ['transactionId'] }
+  ]
+});
+
+/**
+ * Get the balance of a ledger account by summing its entries
+ * @param {string} account - Ledger account
+ * @returns {Promise<string>} - Account balance
+ */
+LedgerEntry.getAccountBalance = async function(account) {
+  const balance = await this.sum('amount', { where: { account } });
+  return balance || '0';
+};
+
+module.exports = LedgerEntry;
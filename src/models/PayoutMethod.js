@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Fiat currencies each payout method can receive
+const PAYOUT_METHOD_CURRENCIES = {
+  card: ['UAH'],
+  iban: ['UAH', 'USD'],
+  swift: ['USD'],
+  cash: ['UAH', 'USD']
+};
+
+const PayoutMethod = sequelize.define('PayoutMethod', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: 'Unique identifier (primary key)'
+  },
+  chatId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: "Owner's Telegram chat ID"
+  },
+  label: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+    comment: 'User-defined label'
+  },
+  type: {
+    type: DataTypes.ENUM(...Object.keys(PAYOUT_METHOD_CURRENCIES)),
+    allowNull: false,
+    comment: 'Payout method (card, iban, swift, cash)'
+  },
+  details: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'Method details (card number, IBAN and name, SWIFT/BIC account and beneficiary, or pickup city)'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Creation timestamp'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Last update timestamp'
+  }
+}, {
+  tableName: 'payout_methods',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['chatId', 'label'] }
+  ]
+});
+
+/**
+ * Get the saved payout methods of a user
+ * @param {string} chatId - Telegram chat ID
+ * @returns {Promise<Array>} - Array of payout methods
+ */
+PayoutMethod.getPayoutMethods = async function(chatId) {
+  return await this.findAll({
+    where: { chatId },
+    order: [['createdAt', 'ASC']]
+  });
+};
+
+/**
+ * Check whether the method can receive a fiat currency
+ * @param {string} fiatType - Fiat currency type
+ * @returns {boolean} - Whether the method supports the currency
+ */
+PayoutMethod.prototype.supports = function(fiatType) {
+  return PAYOUT_METHOD_CURRENCIES[this.type].includes(fiatType);
+};
+
+/**
+ * Snapshot of the method stored on an exchange
+ * @returns {Object} - Payment details
+ */
+PayoutMethod.prototype.toPaymentDetails = function() {
+  return {
+    method: this.type,
+    label: this.label,
+    ...this.details
+  };
+};
+
+PayoutMethod.PAYOUT_METHOD_CURRENCIES = PAYOUT_METHOD_CURRENCIES;
+
+module.exports = PayoutMethod;
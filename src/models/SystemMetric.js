@@ -11,7 +11,7 @@ const SystemMetric = sequelize.define('SystemMetric', {
   metricType: {
     type: DataTypes.STRING,
     allowNull: false,
-    comment: 'Type of metric (daily_volume, user_count, etc.)'
+    comment: 'Type of metric (daily_volume, user_count, reconciliation, etc.)'
   },
   metricDate: {
     type: DataTypes.DATEONLY,
@@ -96,6 +96,34 @@ SystemMetric.recordUserCount = async function(date, count) {
   return metric;
 };
 
+/**
+ * Record the latest ledger-vs-chain reconciliation of a day
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} gap - On-chain holdings minus expected holdings
+ * @param {Object} breakdown - Reconciliation breakdown
+ * @returns {Promise<Object>} - Created or updated metric
+ */
+SystemMetric.recordReconciliation = async function(date, gap, breakdown = {}) {
+  const [metric, created] = await this.findOrCreate({
+    where: {
+      metricType: 'reconciliation',
+      metricDate: date
+    },
+    defaults: {
+      metricValue: gap,
+      metricData: breakdown
+    }
+  });
+  
+  if (!created) {
+    metric.metricValue = gap;
+    metric.metricData = breakdown;
+    await metric.save();
+  }
+  
+  return metric;
+};
+
 /**
  * Get metrics for a specific period
  * @param {string} metricType - Type of metric
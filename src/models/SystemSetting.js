@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const SystemSetting = sequelize.define('SystemSetting', {
+  key: {
+    type: DataTypes.STRING,
+    primaryKey: true,
+    allowNull: false,
+    comment: 'Setting key (primary key)'
+  },
+  value: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Setting value'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Creation timestamp'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Last update timestamp'
+  }
+}, {
+  tableName: 'system_settings',
+  timestamps: true
+});
+
+/**
+ * Get a setting value
+ * @param {string} key - Setting key
+ * @param {*} defaultValue - Value returned when the setting is not set
+ * @returns {Promise<*>} - Setting value
+ */
+SystemSetting.getValue = async function(key, defaultValue = null) {
+  const setting = await this.findByPk(key);
+  
+  return setting ? setting.value : defaultValue;
+};
+
+/**
+ * Set a setting value
+ * @param {string} key - Setting key
+ * @param {*} value - Setting value
+ * @returns {Promise<Object>} - Created or updated setting
+ */
+SystemSetting.setValue = async function(key, value) {
+  const [setting] = await this.upsert({ key, value });
+  
+  return setting;
+};
+
+module.exports = SystemSetting;
@@ -1,6 +1,7 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 const { sequelize } = require('../config/database');
 const Decimal = require('decimal.js');
+const UserBalance = require('./UserBalance');
 
 const Transaction = sequelize.define('Transaction', {
   id: {
@@ -10,30 +11,55 @@ const Transaction = sequelize.define('Transaction', {
     comment: 'Unique identifier (primary key)'
   },
   type: {
-    type: DataTypes.ENUM('deposit', 'withdrawal', 'exchange'),
+    type: DataTypes.ENUM('deposit', 'withdrawal', 'exchange', 'transfer', 'adjustment', 'refund', 'buy'),
     allowNull: false,
-    comment: 'Transaction type (deposit, withdrawal, exchange)'
+    comment: 'Transaction type (deposit, withdrawal, exchange, transfer, adjustment, refund, buy)'
   },
   chatId: {
     type: DataTypes.STRING,
     allowNull: false,
-    comment: "Associated user's Telegram chat ID"
+    comment: "Associated user's Telegram chat ID (the sender for transfers)"
+  },
+  recipientChatId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: "Recipient's Telegram chat ID (for transfers)"
+  },
+  originalTransactionId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Transaction being refunded (for refunds)'
   },
   amount: {
     type: DataTypes.DECIMAL(24, 6),
     allowNull: false,
-    comment: 'USDT amount'
+    comment: 'USDT amount (signed for adjustments)'
   },
   fiatAmount: {
     type: DataTypes.DECIMAL(24, 2),
     allowNull: true,
-    comment: 'Equivalent fiat amount (for exchanges)'
+    comment: 'Equivalent fiat amount (for exchanges and buys)'
   },
   fiatType: {
     type: DataTypes.ENUM('USD', 'UAH'),
     allowNull: true,
     comment: 'Fiat currency type (USD/UAH)'
   },
+  rate: {
+    type: DataTypes.DECIMAL(24, 6),
+    allowNull: true,
+    comment: 'USDT to fiat rate the exchange or buy was executed at (for exchanges and buys)'
+  },
+  midRate: {
+    type: DataTypes.DECIMAL(24, 6),
+    allowNull: true,
+    comment: 'Mid rate the executed rate was priced from (for exchanges and buys)'
+  },
+  spread: {
+    type: DataTypes.DECIMAL(24, 6),
+    allowNull: true,
+    comment: 'Fiat per USDT between the mid and executed rates, our margin (for exchanges and buys)'
+  },
   walletAddress: {
     type: DataTypes.STRING,
     allowNull: true,
@@ -44,8 +70,39 @@ const Transaction = sequelize.define('Transaction', {
     allowNull: true,
     comment: 'Blockchain transaction hash'
   },
+  logIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Log index of the USDT Transfer event within the transaction (for deposits)'
+  },
+  nonce: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Hot wallet nonce used to send the transaction (for withdrawals)'
+  },
+  signedTx: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Signed raw transaction, kept so it can be rebroadcast after a restart (for withdrawals)'
+  },
+  broadcasts: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Every hash broadcast for this nonce, incl. speed-up and cancel replacements (for withdrawals)'
+  },
+  stuckAlertedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When admin was alerted that the latest broadcast is stuck (for withdrawals)'
+  },
+  nonceConflictAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the nonce was found used while no broadcast had a receipt; held for admin review (for withdrawals)'
+  },
   status: {
-    type: DataTypes.ENUM('pending', 'completed', 'failed', 'processing'),
+    type: DataTypes.ENUM('pending', 'completed', 'failed', 'processing', 'pending_approval', 'cancelled'),
     allowNull: false,
     defaultValue: 'pending',
     comment: 'Transaction status'
@@ -75,6 +132,11 @@ const Transaction = sequelize.define('Transaction', {
     allowNull: true,
     comment: 'Number of blockchain confirmations (for deposits)'
   },
+  receiptMissingSinceBlock: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Block at which the receipt was first found missing, cleared when it reappears (for deposits)'
+  },
   paymentDetails: {
     type: DataTypes.JSONB,
     allowNull: true,
@@ -87,76 +149,54 @@ const Transaction = sequelize.define('Transaction', {
   }
 }, {
   tableName: 'transactions',
-  timestamps: true
+  timestamps: true,
+  indexes: [
+    {
+      // A single on-chain transfer can only be credited once (failed ones may be retried)
+      name: 'transactions_deposit_tx_hash_log_index',
+      unique: true,
+      fields: ['txHash', 'logIndex'],
+      where: {
+        type: 'deposit',
+        status: { [Op.ne]: 'failed' }
+      }
+    },
+    {
+      // A transaction is refunded at most once
+      name: 'transactions_refund_original_transaction_id',
+      unique: true,
+      fields: ['originalTransactionId'],
+      where: {
+        type: 'refund'
+      }
+    }
+  ]
 });
 
 /**
- * Calculate user balance based on transaction history
+ * Get user balance, maintained by the ledger service
  * @param {string} chatId - Telegram chat ID
  * @returns {Promise<string>} - User balance as string
  */
 Transaction.getUserBalance = async function(chatId) {
-  // Get all completed deposits
-  const deposits = await this.findAll({
-    where: {
-      chatId,
-      type: 'deposit',
-      status: 'completed'
-    },
-    attributes: ['amount']
-  });
-  
-  // Get all completed withdrawals
-  const withdrawals = await this.findAll({
-    where: {
-      chatId,
-      type: 'withdrawal',
-      status: ['completed', 'pending', 'processing']
-    },
-    attributes: ['amount']
-  });
-  
-  // Get all completed exchanges
-  const exchanges = await this.findAll({
-    where: {
-      chatId,
-      type: 'exchange',
-      status: ['completed', 'pending', 'processing']
-    },
-    attributes: ['amount']
-  });
-  
-  // Calculate total deposits
-  const totalDeposits = deposits.reduce((sum, tx) => {
-    return sum.plus(tx.amount);
-  }, new Decimal(0));
-  
-  // Calculate total withdrawals
-  const totalWithdrawals = withdrawals.reduce((sum, tx) => {
-    return sum.plus(tx.amount);
-  }, new Decimal(0));
-  
-  // Calculate total exchanges
-  const totalExchanges = exchanges.reduce((sum, tx) => {
-    return sum.plus(tx.amount);
-  }, new Decimal(0));
-  
-  // Calculate balance
-  const balance = totalDeposits.minus(totalWithdrawals).minus(totalExchanges);
-  
-  // Ensure balance is not negative
-  return balance.lessThan(0) ? '0.000000' : balance.toFixed(6);
+  const row = await UserBalance.findByPk(chatId);
+  return new Decimal(row ? row.balance : 0).toFixed(6);
 };
 
 /**
- * Get user transaction history
+ * Get user transaction history, including transfers received
  * @param {string} chatId - Telegram chat ID
  * @param {number} limit - Maximum number of transactions to return
  * @returns {Promise<Array>} - Array of transactions
  */
 Transaction.getUserHistory = async function(chatId, limit = 10) {
   return await this.findAll({
-    where: { chatId },
+    where: {
+      [Op.or]: [
+        { chatId },
+        { recipientChatId: chatId }
+      ]
+    },
     order: [['createdAt', 'DESC']],
     limit
   });
@@ -178,17 +218,21 @@ Transaction.getPendingByType = async function(type) {
 };
 
 /**
- * Create a deposit transaction
- * @param {string} chatId - Telegram chat ID
- * @param {string} amount - USDT amount
- * @returns {Promise<Object>} - Created transaction
+ * Find the (non-failed) deposit recorded for a specific on-chain transfer
+ * @param {string} txHash - Transaction hash
+ * @param {number} logIndex - Log index of the Transfer event
+ * @returns {Promise<Object|null>} - Deposit transaction or null
  */
-Transaction.createDeposit = async function(chatId, amount) {
-  return await this.create({
-    type: 'deposit',
-    chatId,
-    amount,
-    status: 'pending'
+Transaction.findCreditedDeposit = async function(txHash, logIndex) {
+  return await this.findOne({
+    where: {
+      type: 'deposit',
+      txHash: txHash.toLowerCase(),
+      logIndex,
+      status: {
+        [Op.ne]: 'failed'
+      }
+    }
   });
 };
 
@@ -198,35 +242,134 @@ Transaction.createDeposit = async function(chatId, amount) {
  * @param {string} amount - USDT amount
  * @param {string} walletAddress - Recipient wallet address
  * @param {string} fee - Transaction fee
+ * @param {string} status - Initial status ('pending', or 'pending_approval' to hold for an admin)
+ * @param {Object} options - Sequelize create options (e.g. transaction)
  * @returns {Promise<Object>} - Created transaction
  */
-Transaction.createWithdrawal = async function(chatId, amount, walletAddress, fee) {
+Transaction.createWithdrawal = async function(chatId, amount, walletAddress, fee, status = 'pending', options = {}) {
   return await this.create({
     type: 'withdrawal',
     chatId,
     amount,
     walletAddress,
     fee,
+    status
+  }, options);
+};
+
+/**
+ * Create an exchange transaction from an accepted quote
+ * @param {Object} quote - Exchange quote
+ * @param {Object} options - Sequelize create options (e.g. transaction)
+ * @returns {Promise<Object>} - Created transaction
+ */
+Transaction.createExchange = async function(quote, options = {}) {
+  return await this.create({
+    type: 'exchange',
+    chatId: quote.chatId,
+    amount: quote.amount,
+    fiatAmount: quote.fiatAmount,
+    fiatType: quote.fiatType,
+    rate: quote.rate,
+    midRate: quote.midRate,
+    spread: quote.spread,
+    paymentDetails: quote.paymentDetails,
     status: 'pending'
-  });
+  }, options);
 };
 
 /**
- * Create an exchange transaction
+ * Create a buy transaction awaiting the user's fiat payment
  * @param {string} chatId - Telegram chat ID
- * @param {string} amount - USDT amount
- * @param {string} fiatAmount - Fiat amount
+ * @param {string} amount - USDT amount to credit
+ * @param {string} fiatAmount - Fiat amount to pay
  * @param {string} fiatType - Fiat currency type
+ * @param {Object} price - Ask price ({ rate, midRate, spread }) from ExchangeRate.getPrice
+ * @param {Object} options - Sequelize create options (e.g. transaction)
  * @returns {Promise<Object>} - Created transaction
  */
-Transaction.createExchange = async function(chatId, amount, fiatAmount, fiatType) {
+Transaction.createBuy = async function(chatId, amount, fiatAmount, fiatType, price, options = {}) {
   return await this.create({
-    type: 'exchange',
+    type: 'buy',
     chatId,
     amount,
     fiatAmount,
     fiatType,
+    rate: price.rate,
+    midRate: price.midRate,
+    spread: price.spread,
     status: 'pending'
+  }, options);
+};
+
+/**
+ * Create an internal transfer transaction between two users
+ * @param {string} chatId - Sender's Telegram chat ID
+ * @param {string} recipientChatId - Recipient's Telegram chat ID
+ * @param {string} amount - USDT amount
+ * @param {Object} options - Sequelize create options (e.g. transaction)
+ * @returns {Promise<Object>} - Created transaction
+ */
+Transaction.createTransfer = async function(chatId, recipientChatId, amount, options = {}) {
+  return await this.create({
+    type: 'transfer',
+    chatId,
+    recipientChatId,
+    amount,
+    status: 'completed',
+    completedAt: new Date()
+  }, options);
+};
+
+/**
+ * Create a manual balance adjustment awaiting admin confirmation
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} amount - Signed USDT amount (negative to debit)
+ * @param {string} reason - Reason for the adjustment
+ * @param {Object} options - Sequelize create options (e.g. transaction)
+ * @returns {Promise<Object>} - Created transaction
+ */
+Transaction.createAdjustment = async function(chatId, amount, reason, options = {}) {
+  return await this.create({
+    type: 'adjustment',
+    chatId,
+    amount,
+    status: 'pending',
+    adminNotes: reason
+  }, options);
+};
+
+/**
+ * Create a completed refund of a failed or rejected transaction
+ * @param {Object} original - Refunded transaction
+ * @param {string} amount - USDT amount returned to the user
+ * @param {string} reason - Why the original was refunded
+ * @param {Object} options - Sequelize create options (e.g. transaction)
+ * @returns {Promise<Object>} - Created transaction
+ */
+Transaction.createRefund = async function(original, amount, reason, options = {}) {
+  return await this.create({
+    type: 'refund',
+    chatId: original.chatId,
+    amount,
+    originalTransactionId: original.id,
+    status: 'completed',
+    completedAt: new Date(),
+    adminNotes: reason
+  }, options);
+};
+
+/**
+ * Find the refund of a transaction
+ * @param {number} transactionId - Refunded transaction ID
+ * @returns {Promise<Object|null>} - Refund transaction or null
+ */
+Transaction.findRefundOf = async function(transactionId) {
+  return await this.findOne({
+    where: {
+      type: 'refund',
+      originalTransactionId: transactionId
+    }
   });
 };
 
@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Status history of transactions, written by the transitions service
+const TransactionEvent = sequelize.define('TransactionEvent', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: 'Unique identifier (primary key)'
+  },
+  transactionId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Transaction whose status changed'
+  },
+  fromStatus: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Previous status (null when the transaction was created)'
+  },
+  toStatus: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'New status'
+  },
+  actor: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: "Who made the change ('system', 'admin', 'admin:<chatId>' or 'user:<chatId>')"
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Why the status changed'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Creation timestamp'
+  }
+}, {
+  tableName: 'transaction_events',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['transactionId'] }
+  ]
+});
+
+/**
+ * Get the status history of a transaction, oldest first
+ * @param {number} transactionId - Transaction ID
+ * @returns {Promise<Array>} - Array of events
+ */
+TransactionEvent.getHistory = async function(transactionId) {
+  return await this.findAll({
+    where: { transactionId },
+    order: [['id', 'ASC']]
+  });
+};
+
+module.exports = TransactionEvent;
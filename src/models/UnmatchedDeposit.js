@@ -0,0 +1,110 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const UnmatchedDeposit = sequelize.define('UnmatchedDeposit', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: 'Unique identifier (primary key)'
+  },
+  txHash: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Blockchain transaction hash'
+  },
+  logIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Log index of the USDT Transfer event within the transaction'
+  },
+  fromAddress: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Sender address (refund destination)'
+  },
+  toAddress: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Receiving deposit address'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(24, 6),
+    allowNull: false,
+    comment: 'Received USDT amount'
+  },
+  claimedChatId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Chat ID of the user who claimed the transfer via /confirm'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'credited', 'partially_credited', 'refunded'),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: 'Resolution status'
+  },
+  creditedAmount: {
+    type: DataTypes.DECIMAL(24, 6),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'USDT amount credited to a user balance'
+  },
+  refundedAmount: {
+    type: DataTypes.DECIMAL(24, 6),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'USDT amount refunded to the sender'
+  },
+  depositTransactionId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Deposit transaction created when crediting'
+  },
+  refundTxHash: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Blockchain hash of the refund transfer'
+  },
+  adminNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Administrative notes regarding the resolution'
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Resolution timestamp'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Creation timestamp'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Last update timestamp'
+  }
+}, {
+  tableName: 'unmatched_deposits',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['txHash', 'logIndex'] }
+  ]
+});
+
+/**
+ * Get unmatched deposits still awaiting an admin decision
+ * @returns {Promise<Array>} - Array of unresolved unmatched deposits
+ */
+UnmatchedDeposit.getUnresolved = async function() {
+  return await this.findAll({
+    where: {
+      status: ['pending', 'partially_credited']
+    },
+    order: [['createdAt', 'ASC']]
+  });
+};
+
+module.exports = UnmatchedDeposit;
@@ -1,4 +1,5 @@
 const { DataTypes } = require('sequelize');
+const { ethers } = require('ethers');
 const { sequelize } = require('../config/database');
 
 const User = sequelize.define('User', {
@@ -14,6 +15,35 @@ const User = sequelize.define('User', {
     allowNull: true,
     comment: 'Telegram username'
   },
+  depositAddress: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    unique: true,
+    comment: 'Dedicated BEP-20 deposit address derived from the HD wallet'
+  },
+  derivationIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    unique: true,
+    comment: 'HD wallet child index of the deposit address'
+  },
+  whitelistOnly: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Whether withdrawals are restricted to saved addresses'
+  },
+  flagged: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Whether every withdrawal of the user needs admin approval'
+  },
+  flagReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Reason the user was flagged'
+  },
   createdAt: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW,
@@ -50,4 +80,26 @@ User.findOrCreateUser = async function(chatId, username) {
   return user;
 };
 
+/**
+ * Find a user by their dedicated deposit address
+ * @param {string} address - Deposit address
+ * @returns {Promise<Object|null>} - User object or null
+ */
+User.findByDepositAddress = async function(address) {
+  return await this.findOne({
+    where: { depositAddress: ethers.getAddress(address) }
+  });
+};
+
+/**
+ * Find a user by Telegram username (case-insensitive, without '@')
+ * @param {string} username - Telegram username
+ * @returns {Promise<Object|null>} - User object or null
+ */
+User.findByUsername = async function(username) {
+  return await this.findOne({
+    where: sequelize.where(sequelize.fn('lower', sequelize.col('username')), username.toLowerCase())
+  });
+};
+
 module.exports = User;
\ No newline at end of file
@@ -0,0 +1,33 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Running total of the 'user:<chatId>' ledger account, maintained by the ledger service
+const UserBalance = sequelize.define('UserBalance', {
+  chatId: {
+    type: DataTypes.STRING,
+    primaryKey: true,
+    allowNull: false,
+    comment: "User's Telegram chat ID (primary key)"
+  },
+  balance: {
+    type: DataTypes.DECIMAL(24, 6),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Current USDT balance'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Creation timestamp'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Last update timestamp'
+  }
+}, {
+  tableName: 'user_balances',
+  timestamps: true
+});
+
+module.exports = UserBalance;
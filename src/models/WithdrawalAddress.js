@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const WithdrawalAddress = sequelize.define('WithdrawalAddress', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: 'Unique identifier (primary key)'
+  },
+  chatId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: "Owner's Telegram chat ID"
+  },
+  address: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Checksummed BEP-20 address'
+  },
+  label: {
+    type: DataTypes.STRING(32),
+    allowNull: true,
+    comment: 'User-defined label'
+  },
+  activatesAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'End of the new-address cooldown; the address cannot be used before'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Creation timestamp'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Last update timestamp'
+  }
+}, {
+  tableName: 'withdrawal_addresses',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['chatId', 'address'] },
+    { unique: true, fields: ['chatId', 'label'] }
+  ]
+});
+
+/**
+ * Get the address book of a user
+ * @param {string} chatId - Telegram chat ID
+ * @returns {Promise<Array>} - Array of saved addresses
+ */
+WithdrawalAddress.getAddressBook = async function(chatId) {
+  return await this.findAll({
+    where: { chatId },
+    order: [['createdAt', 'ASC']]
+  });
+};
+
+/**
+ * Check whether the cooldown of a saved address is over
+ * @returns {boolean} - Whether the address can be used
+ */
+WithdrawalAddress.prototype.isActive = function() {
+  return this.activatesAt <= new Date();
+};
+
+module.exports = WithdrawalAddress;
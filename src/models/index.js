@@ -3,16 +3,42 @@ const User = require('./User');
 const Transaction = require('./Transaction');
 const ExchangeRate = require('./ExchangeRate');
 const SystemMetric = require('./SystemMetric');
+const DepositIntent = require('./DepositIntent');
+const SystemSetting = require('./SystemSetting');
+const UnmatchedDeposit = require('./UnmatchedDeposit');
+const WithdrawalAddress = require('./WithdrawalAddress');
+const LedgerEntry = require('./LedgerEntry');
+const UserBalance = require('./UserBalance');
+const TransactionEvent = require('./TransactionEvent');
+const PayoutMethod = require('./PayoutMethod');
+const ExchangeQuote = require('./ExchangeQuote');
 
 // Define relationships
 User.hasMany(Transaction, { foreignKey: 'chatId' });
 Transaction.belongsTo(User, { foreignKey: 'chatId' });
+User.hasMany(DepositIntent, { foreignKey: 'chatId' });
+DepositIntent.belongsTo(User, { foreignKey: 'chatId' });
+User.hasMany(WithdrawalAddress, { foreignKey: 'chatId' });
+WithdrawalAddress.belongsTo(User, { foreignKey: 'chatId' });
+User.hasMany(PayoutMethod, { foreignKey: 'chatId' });
+PayoutMethod.belongsTo(User, { foreignKey: 'chatId' });
+User.hasMany(ExchangeQuote, { foreignKey: 'chatId' });
+ExchangeQuote.belongsTo(User, { foreignKey: 'chatId' });
+ExchangeQuote.belongsTo(Transaction, { foreignKey: 'transactionId' });
+User.hasOne(UserBalance, { foreignKey: 'chatId' });
+UserBalance.belongsTo(User, { foreignKey: 'chatId' });
+Transaction.hasMany(LedgerEntry, { foreignKey: 'transactionId' });
+LedgerEntry.belongsTo(Transaction, { foreignKey: 'transactionId' });
+Transaction.hasMany(TransactionEvent, { foreignKey: 'transactionId' });
+TransactionEvent.belongsTo(Transaction, { foreignKey: 'transactionId' });
+Transaction.hasMany(Transaction, { foreignKey: 'originalTransactionId', as: 'refunds' });
+Transaction.belongsTo(Transaction, { foreignKey: 'originalTransactionId', as: 'originalTransaction' });
 
 // Sync models with database
 async function syncModels() {
   try {
-    // Force true to recreate all tables
-    await sequelize.sync({ force: true });
+    // Alter existing tables in place so persisted state survives restarts
+    await sequelize.sync({ alter: true });
     console.log('Database models synchronized successfully');
     return true;
   } catch (error) {
@@ -27,5 +53,14 @@ module.exports = {
   Transaction,
   ExchangeRate,
   SystemMetric,
+  DepositIntent,
+  SystemSetting,
+  UnmatchedDeposit,
+  WithdrawalAddress,
+  LedgerEntry,
+  UserBalance,
+  TransactionEvent,
+  PayoutMethod,
+  ExchangeQuote,
   syncModels // Make sure syncModels is properly exported
 };
\ No newline at end of file
@@ -0,0 +1,129 @@
+const { ethers } = require('ethers');
+const { UniqueConstraintError } = require('sequelize');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { formatDate } = require('../utils/format');
+const Transaction = require('../models/Transaction');
+const WithdrawalAddress = require('../models/WithdrawalAddress');
+
+/**
+ * Get the end of the cooldown for an address added now
+ * @returns {Date} - Activation timestamp
+ */
+function getCooldownEnd() {
+  return new Date(Date.now() + config.transactions.newAddressCooldownHours * 60 * 60 * 1000);
+}
+
+/**
+ * Check whether a user already withdrew to an address successfully
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} address - Checksummed address
+ * @returns {Promise<boolean>} - Whether a completed withdrawal exists
+ */
+async function hasWithdrawnTo(chatId, address) {
+  const count = await Transaction.count({
+    where: { chatId, type: 'withdrawal', status: 'completed', walletAddress: address }
+  });
+  return count > 0;
+}
+
+/**
+ * Save an address to a user's address book; new addresses are locked for the cooldown,
+ * addresses the user already withdrew to are active right away
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} address - Wallet address
+ * @param {string|null} label - Label
+ * @returns {Promise<Object>} - { success, entry } or { success: false, error }
+ */
+async function addAddress(chatId, address, label = null) {
+  const checksummed = ethers.getAddress(address.toLowerCase());
+
+  const existing = await WithdrawalAddress.findOne({ where: { chatId, address: checksummed } });
+  if (existing) {
+    return { success: false, error: `This address is already saved${existing.label ? ` as "${existing.label}"` : ''}` };
+  }
+
+  if (label && await WithdrawalAddress.findOne({ where: { chatId, label } })) {
+    return { success: false, error: `Label "${label}" is already in use` };
+  }
+
+  const activatesAt = await hasWithdrawnTo(chatId, checksummed) ? new Date() : getCooldownEnd();
+
+  try {
+    const entry = await WithdrawalAddress.create({ chatId, address: checksummed, label, activatesAt });
+    logger.info(`Address ${checksummed} added to the address book of user ${chatId}, active from ${activatesAt.toISOString()}`);
+    return { success: true, entry };
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      return { success: false, error: 'This address or label is already saved' };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Remove an address from a user's address book
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} labelOrAddress - Label or wallet address
+ * @returns {Promise<boolean>} - Whether an entry was removed
+ */
+async function removeAddress(chatId, labelOrAddress) {
+  const where = ethers.isAddress(labelOrAddress)
+    ? { chatId, address: ethers.getAddress(labelOrAddress.toLowerCase()) }
+    : { chatId, label: labelOrAddress };
+
+  const count = await WithdrawalAddress.destroy({ where });
+  if (count > 0) {
+    logger.info(`Address ${labelOrAddress} removed from the address book of user ${chatId}`);
+  }
+  return count > 0;
+}
+
+/**
+ * Resolve the destination of a withdrawal against the user's address book.
+ * Unknown addresses are rejected in whitelist-only mode, otherwise saved and locked for the cooldown.
+ * @param {Object} user - User instance
+ * @param {Object} destination - { address } or { label } from validation.parseWithdrawCommand
+ * @returns {Promise<Object>} - { success, address } or { success: false, error }
+ */
+async function resolveWithdrawalAddress(user, { address, label }) {
+  const chatId = user.chatId;
+  let entry;
+
+  if (label) {
+    entry = await WithdrawalAddress.findOne({ where: { chatId, label } });
+    if (!entry) {
+      return { success: false, error: `No saved address with label "${label}". See /addresses` };
+    }
+  } else {
+    const checksummed = ethers.getAddress(address.toLowerCase());
+    entry = await WithdrawalAddress.findOne({ where: { chatId, address: checksummed } });
+
+    if (!entry) {
+      if (user.whitelistOnly) {
+        return { success: false, error: 'Whitelist-only mode is on. Save the address with /add_address first' };
+      }
+
+      const result = await addAddress(chatId, checksummed);
+      if (!result.success) {
+        return result;
+      }
+      entry = result.entry;
+    }
+  }
+
+  if (!entry.isActive()) {
+    return {
+      success: false,
+      error: `Address \`${entry.address}\` is new and can be used from ${formatDate(entry.activatesAt)}`
+    };
+  }
+
+  return { success: true, address: entry.address };
+}
+
+module.exports = {
+  addAddress,
+  removeAddress,
+  resolveWithdrawalAddress
+};
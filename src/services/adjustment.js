@@ -0,0 +1,183 @@
+const Decimal = require('decimal.js');
+const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const ledgerService = require('./ledger');
+const transitionService = require('./transitions');
+const notificationService = require('./notification');
+const { formatUSDT } = require('../utils/format');
+
+/**
+ * Create a balance adjustment that takes effect once the admin confirms it
+ * @param {string} chatId - Affected user's Telegram chat ID
+ * @param {string} amount - Signed USDT amount (negative to debit)
+ * @param {string} reason - Reason for the adjustment
+ * @param {string} adminChatId - Acting admin's chat ID
+ * @returns {Promise<Object>} - Processing result
+ */
+async function createAdjustment(chatId, amount, reason, adminChatId) {
+  try {
+    const user = await User.findByPk(chatId);
+    if (!user) {
+      return {
+        success: false,
+        error: 'User not found'
+      };
+    }
+    
+    const transaction = await sequelize.transaction(async (t) => {
+      const adjustment = await Transaction.createAdjustment(chatId, new Decimal(amount).toFixed(6), reason, { transaction: t });
+      await transitionService.recordCreation(adjustment, {
+        actor: `admin:${adminChatId}`,
+        reason,
+        dbTransaction: t
+      });
+      return adjustment;
+    });
+    
+    logger.info(`Adjustment #${transaction.id} of ${formatUSDT(amount)} USDT for user ${chatId} created by admin ${adminChatId}`);
+    
+    return {
+      success: true,
+      transaction,
+      user
+    };
+  } catch (error) {
+    logger.error(`Error creating adjustment for user ${chatId}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Find an adjustment that is awaiting confirmation
+ * @param {number} transactionId - Transaction ID
+ * @returns {Promise<Object>} - Lookup result
+ */
+async function findPendingAdjustment(transactionId) {
+  const transaction = await Transaction.findByPk(transactionId);
+  
+  if (!transaction || transaction.type !== 'adjustment') {
+    return {
+      success: false,
+      error: 'Adjustment not found'
+    };
+  }
+  
+  if (transaction.status !== 'pending') {
+    return {
+      success: false,
+      error: `Adjustment is not awaiting confirmation, current status: ${transaction.status}`
+    };
+  }
+  
+  return {
+    success: true,
+    transaction
+  };
+}
+
+/**
+ * Confirm an adjustment: apply it to the user's balance and notify them
+ * @param {number} transactionId - Transaction ID
+ * @param {string} adminChatId - Acting admin's chat ID
+ * @returns {Promise<Object>} - Processing result
+ */
+async function confirmAdjustment(transactionId, adminChatId) {
+  try {
+    const lookup = await findPendingAdjustment(transactionId);
+    if (!lookup.success) {
+      return lookup;
+    }
+    
+    const transaction = lookup.transaction;
+    await sequelize.transaction(async (t) => {
+      transaction.completedAt = new Date();
+      await transitionService.transition(transaction, 'completed', {
+        actor: `admin:${adminChatId}`,
+        reason: 'Confirmed',
+        dbTransaction: t
+      });
+      await ledgerService.postAdjustment(transaction, t);
+    });
+    
+    logger.info(`Adjustment #${transaction.id} confirmed by admin ${adminChatId}`);
+    
+    const balance = await Transaction.getUserBalance(transaction.chatId);
+    const credit = new Decimal(transaction.amount).isPositive();
+    
+    await notificationService.notifyUser(transaction.chatId, `
+${credit ? '➕' : '➖'} *Balance Adjusted*
+
+💰 Amount: ${credit ? '+' : ''}${formatUSDT(transaction.amount)} USDT
+❓ Reason: ${transaction.adminNotes}
+🧾 Transaction ID: #${transaction.id}
+📊 Balance: ${formatUSDT(balance)} USDT
+
+Please contact support if you have any questions.
+    `);
+    
+    return {
+      success: true,
+      transaction,
+      balance
+    };
+  } catch (error) {
+    // A debit larger than the user's balance
+    if (error instanceof ledgerService.InsufficientBalanceError) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+    
+    logger.error(`Error confirming adjustment ${transactionId}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Discard an adjustment that was not confirmed
+ * @param {number} transactionId - Transaction ID
+ * @param {string} adminChatId - Acting admin's chat ID
+ * @returns {Promise<Object>} - Processing result
+ */
+async function cancelAdjustment(transactionId, adminChatId) {
+  try {
+    const lookup = await findPendingAdjustment(transactionId);
+    if (!lookup.success) {
+      return lookup;
+    }
+    
+    const transaction = lookup.transaction;
+    await transitionService.transition(transaction, 'failed', {
+      actor: `admin:${adminChatId}`,
+      reason: 'Cancelled before confirmation'
+    });
+    
+    logger.info(`Adjustment #${transaction.id} cancelled by admin ${adminChatId}`);
+    
+    return {
+      success: true,
+      transaction
+    };
+  } catch (error) {
+    logger.error(`Error cancelling adjustment ${transactionId}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  createAdjustment,
+  confirmAdjustment,
+  cancelAdjustment
+};
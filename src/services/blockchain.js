@@ -3,6 +3,8 @@ const Decimal = require('decimal.js');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const Transaction = require('../models/Transaction');
+const rpcService = require('./rpc');
+const signerService = require('./signer');
 
 // ERC20 ABI for USDT
 const ERC20_ABI = [
@@ -14,14 +16,68 @@ const ERC20_ABI = [
   'event Transfer(address indexed from, address indexed to, uint256 value)'
 ];
 
-// Initialize blockchain connection
-const provider = new ethers.JsonRpcProvider(config.blockchain.rpcUrl);
-const wallet = new ethers.Wallet(config.blockchain.privateKey, provider);
-const usdtContract = new ethers.Contract(
-  config.blockchain.usdtContractAddress,
-  ERC20_ABI,
-  wallet
-);
+// Hot wallet and USDT contract, rebuilt whenever the RPC service fails over
+let connectedProvider = null;
+let wallet = null;
+let usdtContract = null;
+
+/**
+ * Get the active RPC provider
+ * @returns {ethers.Provider} - Provider
+ */
+function getProvider() {
+  return rpcService.getProvider();
+}
+
+/**
+ * Connect the hot wallet signer and USDT contract to the active provider
+ */
+function connect() {
+  const provider = getProvider();
+  
+  if (provider !== connectedProvider) {
+    const signer = signerService.getSigner();
+    wallet = signer ? signer.connect(provider) : null;
+    // Read-only deployments still need the contract for balances and deposit scanning
+    usdtContract = new ethers.Contract(
+      config.blockchain.usdtContractAddress,
+      ERC20_ABI,
+      wallet || provider
+    );
+    connectedProvider = provider;
+  }
+}
+
+/**
+ * Get the hot wallet signer connected to the active provider
+ * @returns {ethers.AbstractSigner} - Hot wallet
+ */
+function getWallet() {
+  connect();
+  
+  if (!wallet) {
+    throw new Error('Hot wallet is read-only, sending is disabled');
+  }
+  
+  return wallet;
+}
+
+/**
+ * Get the USDT contract connected to the hot wallet (or the provider in read-only mode)
+ * @returns {ethers.Contract} - USDT contract
+ */
+function getUsdtContract() {
+  connect();
+  return usdtContract;
+}
+
+/**
+ * Check whether the hot wallet can send transactions
+ * @returns {boolean} - False in read-only mode
+ */
+function canSign() {
+  return signerService.canSign();
+}
 
 /**
  * Convert amount to token decimals
@@ -29,7 +85,7 @@ const usdtContract = new ethers.Contract(
  * @returns {Promise<ethers.BigNumber>} - Amount in token decimals
  */
 async function parseTokenAmount(amount) {
-  const decimals = await usdtContract.decimals();
+  const decimals = await getUsdtContract().decimals();
   return ethers.parseUnits(amount, decimals);
 }
 
@@ -39,7 +95,7 @@ async function parseTokenAmount(amount) {
  * @returns {Promise<string>} - Human-readable amount
  */
 async function formatTokenAmount(amount) {
-  const decimals = await usdtContract.decimals();
+  const decimals = await getUsdtContract().decimals();
   return ethers.formatUnits(amount, decimals);
 }
 
@@ -49,7 +105,7 @@ async function formatTokenAmount(amount) {
  */
 async function getWalletBalance() {
   try {
-    const balance = await usdtContract.balanceOf(config.blockchain.depositAddress);
+    const balance = await getUsdtContract().balanceOf(config.blockchain.depositAddress);
     return formatTokenAmount(balance);
   } catch (error) {
     logger.error('Failed to get wallet balance:', error);
@@ -57,18 +113,144 @@ async function getWalletBalance() {
   }
 }
 
+/**
+ * Count the confirmations of a block: the block itself counts as the first one
+ * @param {number} latestBlock - Latest block number
+ * @param {number} blockNumber - Block the transaction was mined in
+ * @returns {number} - Confirmations
+ */
+function countConfirmations(latestBlock, blockNumber) {
+  return latestBlock - blockNumber + 1;
+}
+
+/**
+ * Get the latest block number
+ * @returns {Promise<number>} - Latest block number
+ */
+async function getBlockNumber() {
+  return await getProvider().getBlockNumber();
+}
+
+/**
+ * Get USDT and BNB balances of an address
+ * @param {string} address - Address to check
+ * @returns {Promise<Object>} - Balances as human-readable strings
+ */
+async function getAddressBalances(address) {
+  const usdt = await getUsdtContract().balanceOf(address);
+  const bnb = await getProvider().getBalance(address);
+  
+  return {
+    usdt: await formatTokenAmount(usdt),
+    bnb: ethers.formatEther(bnb)
+  };
+}
+
+/**
+ * Get USDT transfers to the given recipients within a block range
+ * @param {number} fromBlock - First block to scan (inclusive)
+ * @param {number} toBlock - Last block to scan (inclusive)
+ * @param {Array<string>} recipients - Recipient addresses
+ * @returns {Promise<Array>} - Array of transfers
+ */
+async function getDepositTransfers(fromBlock, toBlock, recipients = [config.blockchain.depositAddress]) {
+  const usdtContract = getUsdtContract();
+  const filter = usdtContract.filters.Transfer(null, recipients);
+  const events = await usdtContract.queryFilter(filter, fromBlock, toBlock);
+  
+  const transfers = [];
+  for (const event of events) {
+    transfers.push({
+      txHash: event.transactionHash.toLowerCase(),
+      logIndex: event.index,
+      blockNumber: event.blockNumber,
+      from: event.args[0],
+      to: event.args[1],
+      amount: await formatTokenAmount(event.args[2])
+    });
+  }
+  
+  return transfers;
+}
+
+/**
+ * Send BNB from the hot wallet to cover gas at another address
+ * @param {string} to - Recipient address
+ * @param {string} amount - BNB amount
+ * @returns {Promise<string>} - Transaction hash
+ */
+async function sendGas(to, amount) {
+  const nonce = await reserveNonce();
+  
+  let tx;
+  try {
+    tx = await getWallet().sendTransaction({
+      to,
+      value: ethers.parseEther(amount),
+      nonce
+    });
+  } catch (error) {
+    resetNonce();
+    throw error;
+  }
+  
+  logger.info(`Gas top-up sent to ${to}: ${amount} BNB, tx hash: ${tx.hash}`);
+  await tx.wait();
+  
+  return tx.hash;
+}
+
+/**
+ * Transfer the full USDT balance of a deposit address to the hot wallet
+ * @param {ethers.Wallet} signer - Wallet controlling the deposit address
+ * @returns {Promise<Object>} - Sweep result
+ */
+async function sweepUsdt(signer) {
+  const connectedSigner = signer.connect(getProvider());
+  const contract = getUsdtContract().connect(connectedSigner);
+  const balance = await contract.balanceOf(connectedSigner.address);
+  
+  const tx = await contract.transfer(config.blockchain.depositAddress, balance);
+  logger.info(`Sweep sent from ${connectedSigner.address}: ${tx.hash}`);
+  await tx.wait();
+  
+  return {
+    txHash: tx.hash,
+    amount: await formatTokenAmount(balance)
+  };
+}
+
+/**
+ * Estimate the BNB needed for one USDT transfer from an address
+ * @param {string} from - Sender address
+ * @returns {Promise<string>} - BNB amount
+ */
+async function estimateTransferGasCost(from) {
+  const usdtContract = getUsdtContract();
+  const balance = await usdtContract.balanceOf(from);
+  const gasEstimate = await usdtContract.transfer.estimateGas(
+    config.blockchain.depositAddress,
+    balance,
+    { from }
+  );
+  const feeData = await getProvider().getFeeData();
+  const gasPrice = feeData.maxFeePerGas || feeData.gasPrice;
+  
+  return ethers.formatEther(gasEstimate * gasPrice);
+}
+
 /**
  * Verify deposit transaction
  * @param {string} txHash - Transaction hash
- * @param {string} expectedAmount - Expected amount in USDT
- * @returns {Promise<Object>} - Verification result
+ * @param {string} recipient - Deposit address the transfers must be sent to
+ * @returns {Promise<Object>} - Verification result with every uncredited transfer to the recipient
  */
-async function verifyDepositTransaction(txHash, expectedAmount) {
+async function verifyDepositTransaction(txHash, recipient = config.blockchain.depositAddress) {
   try {
     logger.info(`Verifying deposit transaction: ${txHash}`);
     
     // Get transaction receipt
-    const receipt = await provider.getTransactionReceipt(txHash);
+    const receipt = await getProvider().getTransactionReceipt(txHash);
     
     if (!receipt) {
       logger.warn(`Transaction receipt not found for hash: ${txHash}`);
@@ -78,28 +260,21 @@ async function verifyDepositTransaction(txHash, expectedAmount) {
       };
     }
     
-    // Check confirmations
-    const currentBlock = await provider.getBlockNumber();
-    const confirmations = currentBlock - receipt.blockNumber;
-    
-    if (confirmations < config.transactions.minConfirmations) {
-      logger.warn(`Insufficient confirmations for transaction: ${txHash}, current: ${confirmations}, required: ${config.transactions.minConfirmations}`);
-      return { 
-        verified: false, 
-        reason: `Insufficient confirmations: ${confirmations}/${config.transactions.minConfirmations}` 
-      };
-    }
+    // Count confirmations; callers decide what to do with unconfirmed transfers
+    const currentBlock = await getProvider().getBlockNumber();
+    const confirmations = countConfirmations(currentBlock, receipt.blockNumber);
     
-    // Parse logs for Transfer event
-    const transferEvent = receipt.logs
+    // Parse logs for USDT Transfer events to the recipient
+    const transferEvents = receipt.logs
       .map(log => {
         try {
           return {
-            parsed: usdtContract.interface.parseLog({
+            parsed: getUsdtContract().interface.parseLog({
               topics: log.topics,
               data: log.data
             }),
-            address: log.address.toLowerCase()
+            address: log.address.toLowerCase(),
+            index: log.index
           };
         } catch (e) {
           return null;
@@ -108,46 +283,54 @@ async function verifyDepositTransaction(txHash, expectedAmount) {
       .filter(log => 
         log !== null && 
         log.parsed.name === 'Transfer' && 
-        log.address.toLowerCase() === config.blockchain.usdtContractAddress.toLowerCase()
-      )[0];
+        log.address.toLowerCase() === config.blockchain.usdtContractAddress.toLowerCase() &&
+        log.parsed.args[1].toLowerCase() === recipient.toLowerCase()
+      );
     
-    if (!transferEvent) {
-      logger.warn(`No USDT transfer event found in transaction: ${txHash}`);
+    if (transferEvents.length === 0) {
+      logger.warn(`No USDT transfer to ${recipient} found in transaction: ${txHash}`);
       return { 
         verified: false, 
-        reason: 'No USDT transfer event found in transaction' 
+        reason: 'No USDT transfer to your deposit address found in transaction' 
       };
     }
     
-    // Verify recipient is our deposit address
-    const recipient = transferEvent.parsed.args[1].toLowerCase();
-    if (recipient !== config.blockchain.depositAddress.toLowerCase()) {
-      logger.warn(`Wrong recipient for transaction: ${txHash}, expected: ${config.blockchain.depositAddress}, got: ${recipient}`);
-      return { 
-        verified: false, 
-        reason: 'Transaction recipient is not the system deposit address' 
-      };
-    }
+    // Skip transfers that were already credited
+    const transfers = [];
+    let creditedDeposit = null;
     
-    // Verify amount
-    const amount = await formatTokenAmount(transferEvent.parsed.args[2]);
-    const amountDecimal = new Decimal(amount);
-    const expectedDecimal = new Decimal(expectedAmount);
+    for (const event of transferEvents) {
+      const credited = await Transaction.findCreditedDeposit(txHash, event.index);
+      if (credited) {
+        creditedDeposit = credited;
+        continue;
+      }
+      
+      transfers.push({
+        logIndex: event.index,
+        from: event.parsed.args[0],
+        to: event.parsed.args[1],
+        amount: await formatTokenAmount(event.parsed.args[2])
+      });
+    }
     
-    if (!amountDecimal.equals(expectedDecimal)) {
-      logger.warn(`Amount mismatch for transaction: ${txHash}, expected: ${expectedAmount}, got: ${amount}`);
-      return { 
-        verified: false, 
-        reason: `Amount mismatch: expected ${expectedAmount}, got ${amount}` 
+    if (transfers.length === 0) {
+      logger.warn(`Transaction already credited: ${txHash}, deposit: #${creditedDeposit.id}`);
+      return {
+        verified: false,
+        alreadyCredited: true,
+        creditedTransaction: creditedDeposit,
+        reason: 'This transaction has already been credited'
       };
     }
     
     // All verifications passed
-    logger.info(`Transaction verified successfully: ${txHash}`);
+    logger.info(`Transaction verified successfully: ${txHash}, ${transfers.length} uncredited transfer(s)`);
     return { 
       verified: true, 
-      amount,
-      confirmations
+      transfers,
+      confirmations,
+      confirmed: confirmations >= config.transactions.minConfirmations
     };
   } catch (error) {
     logger.error(`Error verifying transaction ${txHash}:`, error);
@@ -159,79 +342,216 @@ async function verifyDepositTransaction(txHash, expectedAmount) {
 }
 
 /**
- * Process withdrawal transaction
- * @param {Object} transaction - Transaction object
- * @returns {Promise<Object>} - Processing result
+ * Get the current number of confirmations of a transaction
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<number|null>} - Confirmations, or null if the receipt is gone
  */
-async function processWithdrawal(transaction) {
-  try {
-    logger.info(`Processing withdrawal: ${transaction.id}`);
-    
-    // Update transaction status
-    transaction.status = 'processing';
-    await transaction.save();
-    
-    // Parse amount
-    const amountToSend = await parseTokenAmount(transaction.amount);
-    
-    // Get gas price estimate
-    const gasPrice = await provider.getFeeData();
-    
-    // Estimate gas for the transaction
-    const gasEstimate = await usdtContract.transfer.estimateGas(
-      transaction.walletAddress,
-      amountToSend
-    );
-    
-    // Send transaction
-    const tx = await usdtContract.transfer(
-      transaction.walletAddress,
-      amountToSend,
-      {
-        gasLimit: Math.floor(gasEstimate * 1.2), // Add 20% buffer
-        maxFeePerGas: gasPrice.maxFeePerGas,
-        maxPriorityFeePerGas: gasPrice.maxPriorityFeePerGas
-      }
-    );
-    
-    logger.info(`Withdrawal transaction sent: ${tx.hash}`);
-    
-    // Update transaction with hash
-    transaction.txHash = tx.hash;
-    await transaction.save();
-    
-    // Wait for transaction to be mined
-    const receipt = await tx.wait();
-    
-    // Update transaction status
-    transaction.status = 'completed';
-    transaction.completedAt = new Date();
-    transaction.confirmations = 1; // Just confirmed
-    await transaction.save();
-    
-    logger.info(`Withdrawal completed: ${transaction.id}, tx hash: ${tx.hash}`);
+async function getConfirmations(txHash) {
+  const receipt = await getProvider().getTransactionReceipt(txHash);
+  
+  if (!receipt) {
+    return null;
+  }
+  
+  const currentBlock = await getProvider().getBlockNumber();
+  return countConfirmations(currentBlock, receipt.blockNumber);
+}
+
+// Next hot wallet nonce to hand out, tracked locally so queued sends never collide
+let nextNonce = null;
+let nonceLock = Promise.resolve();
+
+/**
+ * Reserve the next hot wallet nonce
+ * @returns {Promise<number>} - Reserved nonce
+ */
+function reserveNonce() {
+  const reservation = nonceLock.then(async () => {
+    if (nextNonce === null) {
+      // Signed but unconfirmed withdrawals may not have reached the node yet
+      const maxStoredNonce = await Transaction.max('nonce', {
+        where: {
+          type: 'withdrawal',
+          status: 'processing'
+        }
+      });
+      const chainNonce = await getWallet().getNonce('pending');
+      nextNonce = maxStoredNonce === null ? chainNonce : Math.max(chainNonce, maxStoredNonce + 1);
+    }
     
+    return nextNonce++;
+  });
+  
+  nonceLock = reservation.catch(() => {});
+  return reservation;
+}
+
+/**
+ * Forget the locally tracked nonce so it is re-read from the chain
+ */
+function resetNonce() {
+  nextNonce = null;
+}
+
+/**
+ * Get the number of hot wallet transactions already mined
+ * @returns {Promise<number>} - Confirmed nonce count
+ */
+async function getConfirmedNonce() {
+  return await getWallet().getNonce('latest');
+}
+
+/**
+ * Sign a USDT transfer from the hot wallet without broadcasting it
+ * @param {string} to - Recipient address
+ * @param {string} amount - USDT amount
+ * @param {number} nonce - Reserved nonce
+ * @returns {Promise<Object>} - Transaction hash and signed raw transaction
+ */
+async function signUsdtTransfer(to, amount, nonce) {
+  // Parse amount
+  const amountToSend = await parseTokenAmount(amount);
+  
+  // Estimate gas for the transaction
+  const gasEstimate = await getUsdtContract().transfer.estimateGas(to, amountToSend);
+  
+  const wallet = getWallet();
+  const unsignedTx = await getUsdtContract().transfer.populateTransaction(to, amountToSend);
+  const populatedTx = await wallet.populateTransaction({
+    ...unsignedTx,
+    nonce,
+    gasLimit: gasEstimate * 12n / 10n // Add 20% buffer
+  });
+  
+  const signedTx = await wallet.signTransaction(populatedTx);
+  
+  return {
+    hash: ethers.Transaction.from(signedTx).hash,
+    signedTx
+  };
+}
+
+/**
+ * Bump a fee so a replacement is accepted, never going below the current network fee
+ * @param {bigint} previous - Fee of the transaction being replaced
+ * @param {bigint|null} current - Current network fee
+ * @param {number} bumpPercent - Minimum increase in percent
+ * @returns {bigint} - Replacement fee
+ */
+function bumpFee(previous, current, bumpPercent) {
+  const bumped = previous * BigInt(100 + bumpPercent) / 100n;
+  return current !== null && current > bumped ? current : bumped;
+}
+
+/**
+ * Sign a replacement for a hot wallet transaction: same nonce, higher fee.
+ * A speed-up resends the same call, a cancel sends a zero-value self-transfer.
+ * @param {string} signedTx - Signed raw transaction being replaced
+ * @param {Object} options - Replacement options
+ * @param {boolean} options.cancel - Whether to cancel instead of speeding up
+ * @param {number} options.bumpPercent - Minimum fee increase in percent
+ * @returns {Promise<Object>} - Transaction hash and signed raw transaction
+ */
+async function signReplacementTransaction(signedTx, { cancel = false, bumpPercent }) {
+  const wallet = getWallet();
+  const previous = ethers.Transaction.from(signedTx);
+  const feeData = await getProvider().getFeeData();
+  
+  const replacement = {
+    type: previous.type,
+    chainId: previous.chainId,
+    nonce: previous.nonce,
+    to: cancel ? await wallet.getAddress() : previous.to,
+    data: cancel ? '0x' : previous.data,
+    value: cancel ? 0n : previous.value,
+    gasLimit: cancel ? 21000n : previous.gasLimit
+  };
+  
+  if (previous.type === 2) {
+    replacement.maxFeePerGas = bumpFee(previous.maxFeePerGas, feeData.maxFeePerGas, bumpPercent);
+    replacement.maxPriorityFeePerGas = bumpFee(previous.maxPriorityFeePerGas, feeData.maxPriorityFeePerGas, bumpPercent);
+  } else {
+    replacement.gasPrice = bumpFee(previous.gasPrice, feeData.gasPrice, bumpPercent);
+  }
+  
+  const signedReplacement = await wallet.signTransaction(replacement);
+  
+  return {
+    hash: ethers.Transaction.from(signedReplacement).hash,
+    signedTx: signedReplacement
+  };
+}
+
+/**
+ * Broadcast a signed raw transaction
+ * @param {string} signedTx - Signed raw transaction
+ * @returns {Promise<string>} - Transaction hash
+ */
+async function broadcastTransaction(signedTx) {
+  const tx = await getProvider().broadcastTransaction(signedTx);
+  return tx.hash;
+}
+
+/**
+ * Get the on-chain state of a transaction sent by us
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<Object>} - State ('mined', 'reverted', 'pending' or 'unknown') and confirmations
+ */
+async function getTransactionStatus(txHash) {
+  const receipt = await getProvider().getTransactionReceipt(txHash);
+  
+  if (receipt) {
+    const currentBlock = await getProvider().getBlockNumber();
     return {
-      success: true,
-      txHash: tx.hash
+      state: receipt.status === 1 ? 'mined' : 'reverted',
+      confirmations: countConfirmations(currentBlock, receipt.blockNumber)
     };
+  }
+  
+  const tx = await getProvider().getTransaction(txHash);
+  return {
+    state: tx ? 'pending' : 'unknown',
+    confirmations: 0
+  };
+}
+
+/**
+ * Send USDT from the hot wallet
+ * @param {string} to - Recipient address
+ * @param {string} amount - USDT amount
+ * @returns {Promise<Object>} - Sent transaction hash
+ */
+async function sendUsdt(to, amount) {
+  const nonce = await reserveNonce();
+  
+  try {
+    const { hash, signedTx } = await signUsdtTransfer(to, amount, nonce);
+    await broadcastTransaction(signedTx);
+    return { hash };
   } catch (error) {
-    logger.error(`Error processing withdrawal ${transaction.id}:`, error);
-    
-    // Update transaction status
-    transaction.status = 'failed';
-    transaction.adminNotes = `Failed: ${error.message}`;
-    await transaction.save();
-    
-    return {
-      success: false,
-      error: error.message
-    };
+    resetNonce();
+    throw error;
   }
 }
 
 module.exports = {
+  canSign,
+  countConfirmations,
   getWalletBalance,
+  getBlockNumber,
+  getAddressBalances,
+  getDepositTransfers,
+  sendGas,
+  sweepUsdt,
+  sendUsdt,
+  estimateTransferGasCost,
   verifyDepositTransaction,
-  processWithdrawal
+  getConfirmations,
+  reserveNonce,
+  resetNonce,
+  getConfirmedNonce,
+  signUsdtTransfer,
+  signReplacementTransaction,
+  broadcastTransaction,
+  getTransactionStatus
 };
\ No newline at end of file
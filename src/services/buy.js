@@ -0,0 +1,345 @@
+const Decimal = require('decimal.js');
+const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
+const Transaction = require('../models/Transaction');
+const ExchangeRate = require('../models/ExchangeRate');
+const SystemSetting = require('../models/SystemSetting');
+const User = require('../models/User');
+const ledgerService = require('./ledger');
+const transitionService = require('./transitions');
+const notificationService = require('./notification');
+const { formatUSDT, formatFiat } = require('../utils/format');
+
+/**
+ * Get the setting key of the payment requisites for a currency
+ * @param {string} fiatType - Fiat currency type
+ * @returns {string} - Setting key
+ */
+function requisitesKey(fiatType) {
+  return `buy_requisites_${fiatType.toLowerCase()}`;
+}
+
+/**
+ * Get the requisites users pay to when buying with a currency
+ * @param {string} fiatType - Fiat currency type
+ * @returns {Promise<string|null>} - Requisites or null if not set
+ */
+async function getRequisites(fiatType) {
+  return await SystemSetting.getValue(requisitesKey(fiatType));
+}
+
+/**
+ * Set the requisites users pay to when buying with a currency (admin action)
+ * @param {string} fiatType - Fiat currency type
+ * @param {string} requisites - Payment requisites (card, IBAN, etc.)
+ * @returns {Promise<void>}
+ */
+async function setRequisites(fiatType, requisites) {
+  await SystemSetting.setValue(requisitesKey(fiatType), requisites);
+  logger.info(`Buy requisites for ${fiatType} updated`);
+}
+
+/**
+ * Create a buy request: the user pays fiat to the requisites and gets USDT at the buy rate
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} fiatAmount - Fiat amount the user pays
+ * @param {string} fiatType - Fiat currency type
+ * @returns {Promise<Object>} - Processing result
+ */
+async function createBuyRequest(chatId, fiatAmount, fiatType) {
+  try {
+    const requisites = await getRequisites(fiatType);
+    if (!requisites) {
+      return {
+        success: false,
+        error: `Buying with ${fiatType} is not available at the moment`
+      };
+    }
+    
+    // Users buy USDT at our ask
+    const price = await ExchangeRate.getPrice(fiatType, 'ask');
+    const amount = new Decimal(fiatAmount).dividedBy(price.rate).toDecimalPlaces(6, Decimal.ROUND_DOWN).toFixed(6);
+    
+    const transaction = await sequelize.transaction(async (t) => {
+      const buy = await Transaction.createBuy(chatId, amount, new Decimal(fiatAmount).toFixed(2), fiatType, price, { transaction: t });
+      await transitionService.recordCreation(buy, {
+        actor: `user:${chatId}`,
+        reason: `Requested at ${price.rate} ${fiatType}/USDT`,
+        dbTransaction: t
+      });
+      return buy;
+    });
+    
+    logger.info(`Buy request created: ${transaction.id}, ${fiatAmount} ${fiatType} for ${amount} USDT`);
+    
+    return {
+      success: true,
+      transaction,
+      requisites
+    };
+  } catch (error) {
+    logger.error(`Error creating buy request for user ${chatId}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Attach the user's payment proof to their latest unpaid buy and send it to admin review
+ * @param {string} chatId - Telegram chat ID
+ * @param {Object} proof - { type: 'photo', fileId } or { type: 'reference', reference }
+ * @returns {Promise<Object>} - Processing result
+ */
+async function submitPaymentProof(chatId, proof) {
+  try {
+    const transaction = await Transaction.findOne({
+      where: {
+        chatId,
+        type: 'buy',
+        status: 'pending'
+      },
+      order: [['createdAt', 'DESC']]
+    });
+    
+    if (!transaction) {
+      return {
+        success: false,
+        error: 'You have no buy request awaiting payment. Start one with /buy.'
+      };
+    }
+    
+    transaction.paymentDetails = { proof };
+    await transitionService.transition(transaction, 'processing', {
+      actor: `user:${chatId}`,
+      reason: proof.type === 'photo' ? 'Payment proof photo submitted' : `Payment reference: ${proof.reference}`
+    });
+    
+    logger.info(`Payment proof submitted for buy #${transaction.id}`);
+    
+    await requestReview(transaction, await User.findByPk(chatId));
+    
+    return {
+      success: true,
+      transaction
+    };
+  } catch (error) {
+    logger.error(`Error submitting payment proof for user ${chatId}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Send the review card of a paid buy, with the proof photo if any, to the admin chat
+ * @param {Object} transaction - Buy transaction
+ * @param {Object} user - User object
+ * @returns {Promise<void>}
+ */
+async function requestReview(transaction, user) {
+  const proof = transaction.paymentDetails.proof;
+  const options = {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text: '✅ Approve', callback_data: `approve_buy:${transaction.id}` },
+          { text: '❌ Reject', callback_data: `reject_buy:${transaction.id}` }
+        ]
+      ]
+    }
+  };
+  
+  const card = formatAdminBuyNotification(transaction, user);
+  
+  if (proof.type === 'photo') {
+    await notificationService.notifyAdminWithPhoto(proof.fileId, card, options);
+  } else {
+    await notificationService.notifyAdmin(card, options);
+  }
+}
+
+/**
+ * Find a buy whose payment awaits admin review
+ * @param {number} transactionId - Transaction ID
+ * @returns {Promise<Object>} - Lookup result
+ */
+async function findPaidBuy(transactionId) {
+  const transaction = await Transaction.findByPk(transactionId);
+  
+  if (!transaction || transaction.type !== 'buy') {
+    return {
+      success: false,
+      error: 'Buy transaction not found'
+    };
+  }
+  
+  if (transaction.status !== 'processing') {
+    return {
+      success: false,
+      error: `Buy is not awaiting payment review, current status: ${transaction.status}`
+    };
+  }
+  
+  return {
+    success: true,
+    transaction
+  };
+}
+
+/**
+ * Approve a paid buy and credit the USDT at the buy rate (admin action)
+ * @param {number} transactionId - Transaction ID
+ * @param {string} adminChatId - Acting admin's chat ID
+ * @returns {Promise<Object>} - Processing result
+ */
+async function approveBuy(transactionId, adminChatId) {
+  try {
+    const lookup = await findPaidBuy(transactionId);
+    if (!lookup.success) {
+      return lookup;
+    }
+    
+    const transaction = lookup.transaction;
+    await sequelize.transaction(async (t) => {
+      transaction.completedAt = new Date();
+      await transitionService.transition(transaction, 'completed', {
+        actor: `admin:${adminChatId}`,
+        reason: 'Payment received',
+        dbTransaction: t
+      });
+      await ledgerService.postBuy(transaction, t);
+    });
+    
+    logger.info(`Buy #${transaction.id} approved, ${transaction.amount} USDT credited to user ${transaction.chatId}`);
+    
+    const balance = await Transaction.getUserBalance(transaction.chatId);
+    
+    await notificationService.notifyUser(transaction.chatId, `
+✅ *Purchase Completed*
+
+💵 Paid: ${formatFiat(transaction.fiatAmount)} ${transaction.fiatType}
+💰 Credited: ${formatUSDT(transaction.amount)} USDT
+📈 Rate: 1 USDT = ${transaction.rate} ${transaction.fiatType}
+🧾 Transaction ID: #${transaction.id}
+📊 Balance: ${formatUSDT(balance)} USDT
+    `);
+    
+    return {
+      success: true,
+      transaction
+    };
+  } catch (error) {
+    logger.error(`Error approving buy ${transactionId}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Reject a buy whose payment could not be verified (admin action)
+ * @param {number} transactionId - Transaction ID
+ * @param {string} reason - Rejection reason shown to the user
+ * @param {string} adminChatId - Acting admin's chat ID
+ * @returns {Promise<Object>} - Processing result
+ */
+async function rejectBuy(transactionId, reason, adminChatId) {
+  try {
+    const lookup = await findPaidBuy(transactionId);
+    if (!lookup.success) {
+      return lookup;
+    }
+    
+    const transaction = lookup.transaction;
+    transaction.adminNotes = `Rejected: ${reason}`;
+    await transitionService.transition(transaction, 'failed', {
+      actor: `admin:${adminChatId}`,
+      reason: `Rejected: ${reason}`
+    });
+    
+    logger.info(`Buy #${transaction.id} rejected: ${reason}`);
+    
+    await notificationService.notifyUser(transaction.chatId, `
+❌ *Purchase Rejected*
+
+🧾 Transaction ID: #${transaction.id}
+💵 Amount: ${formatFiat(transaction.fiatAmount)} ${transaction.fiatType}
+❓ Reason: ${reason}
+
+Please contact support if you have already paid.
+    `);
+    
+    return {
+      success: true,
+      transaction
+    };
+  } catch (error) {
+    logger.error(`Error rejecting buy ${transactionId}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Get buys whose payment awaits admin review
+ * @returns {Promise<Array>} - Array of { transaction, user }
+ */
+async function getBuysAwaitingReview() {
+  const transactions = await Transaction.findAll({
+    where: {
+      type: 'buy',
+      status: 'processing'
+    },
+    order: [['createdAt', 'ASC']]
+  });
+  
+  const results = [];
+  for (const transaction of transactions) {
+    const user = await User.findByPk(transaction.chatId);
+    results.push({ transaction, user });
+  }
+  
+  return results;
+}
+
+/**
+ * Format a paid buy for admin review
+ * @param {Object} transaction - Buy transaction
+ * @param {Object} user - User object
+ * @returns {string} - Formatted notification
+ */
+function formatAdminBuyNotification(transaction, user) {
+  const proof = transaction.paymentDetails && transaction.paymentDetails.proof;
+  
+  let message = `🛒 *BUY PAYMENT TO REVIEW*\n\n`;
+  message += `*Transaction ID:* #${transaction.id}\n`;
+  message += `*User:* ${user.username || 'No username'} (ID: ${user.chatId})\n`;
+  message += `*Paid:* ${formatFiat(transaction.fiatAmount)} ${transaction.fiatType}\n`;
+  message += `*Credit:* ${formatUSDT(transaction.amount)} USDT\n`;
+  message += `*Rate:* ${transaction.rate} ${transaction.fiatType}/USDT\n`;
+  message += `*Proof:* ${proof && proof.type === 'reference' ? `\`${proof.reference}\`` : 'photo'}\n\n`;
+  
+  message += `Check the payment arrived before approving:\n`;
+  message += `/approve_buy ${transaction.id} - Credit the USDT\n`;
+  message += `/reject_buy ${transaction.id} [reason] - Reject this buy\n`;
+  
+  return message;
+}
+
+module.exports = {
+  getRequisites,
+  setRequisites,
+  createBuyRequest,
+  submitPaymentProof,
+  approveBuy,
+  rejectBuy,
+  getBuysAwaitingReview,
+  formatAdminBuyNotification
+};
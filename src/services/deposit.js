@@ -0,0 +1,604 @@
+const Decimal = require('decimal.js');
+const { UniqueConstraintError } = require('sequelize');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const DepositIntent = require('../models/DepositIntent');
+const UnmatchedDeposit = require('../models/UnmatchedDeposit');
+const blockchainService = require('./blockchain');
+const notificationService = require('./notification');
+const ledgerService = require('./ledger');
+const transitionService = require('./transitions');
+const { formatUSDT } = require('../utils/format');
+
+// Attempts at picking an amount not used by another open intent
+const MAX_AMOUNT_ATTEMPTS = 10;
+
+/**
+ * Create a deposit intent with an amount unique among open intents
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} baseAmount - Amount requested by the user
+ * @returns {Promise<Object>} - Created intent
+ */
+async function createDepositIntent(chatId, baseAmount = '10') {
+  for (let attempt = 0; attempt < MAX_AMOUNT_ATTEMPTS; attempt++) {
+    // Generate random amount for deposit identification
+    const randomAmount = (Math.floor(Math.random() * 10000) / 10000).toFixed(4);
+    const depositAmount = new Decimal(baseAmount).plus(randomAmount).toFixed(6);
+    
+    const taken = await DepositIntent.findOpenByAmount(depositAmount);
+    if (!taken) {
+      return await DepositIntent.createIntent(chatId, depositAmount);
+    }
+  }
+  
+  throw new Error('Unable to allocate a unique deposit amount');
+}
+
+/**
+ * Record a verified deposit, closing its intent if there is one
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} amount - USDT amount
+ * @param {Object} details - Verification details
+ * @param {string} details.txHash - Transaction hash
+ * @param {number} details.logIndex - Log index of the Transfer event
+ * @param {number} details.confirmations - Number of confirmations
+ * @param {Object} [details.intent] - Matched deposit intent
+ * @param {string} [details.status] - 'completed' to credit now, 'processing' to wait for confirmations
+ * @param {string} [details.actor] - Who recorded the deposit ('system', 'admin' or 'user:<chatId>')
+ * @param {string} [details.fromAccount] - Ledger account the credit comes from, the hot wallet by default
+ * @param {Object} [details.dbTransaction] - Sequelize transaction to record the deposit in; a duplicate transfer then throws instead of returning null
+ * @returns {Promise<Object|null>} - Created deposit transaction, or null if the transfer was already recorded
+ */
+async function creditDeposit(chatId, amount, { txHash, logIndex, confirmations, intent = null, status = 'completed', actor = 'system', fromAccount = ledgerService.ACCOUNTS.HOT_WALLET, dbTransaction = null }) {
+  let transaction;
+  
+  const write = async (t) => {
+    const deposit = await Transaction.create({
+      type: 'deposit',
+      chatId,
+      amount,
+      txHash: txHash.toLowerCase(),
+      logIndex,
+      status,
+      completedAt: status === 'completed' ? new Date() : null,
+      confirmations
+    }, { transaction: t });
+    
+    await transitionService.recordCreation(deposit, {
+      actor,
+      reason: intent ? `Matched deposit intent #${intent.id}` : 'Verified on the blockchain',
+      dbTransaction: t
+    });
+    
+    if (intent) {
+      intent.status = 'matched';
+      intent.txHash = txHash.toLowerCase();
+      await intent.save({ transaction: t });
+    }
+    
+    // Under-confirmed deposits are credited once the watcher completes them
+    if (status === 'completed') {
+      await ledgerService.postDeposit(deposit, t, { fromAccount });
+    }
+    
+    return deposit;
+  };
+  
+  try {
+    transaction = dbTransaction ? await write(dbTransaction) : await sequelize.transaction(write);
+  } catch (error) {
+    // Lost a race against another credit of the same transfer
+    if (error instanceof UniqueConstraintError && !dbTransaction) {
+      logger.warn(`Deposit ${txHash} (log index ${logIndex}) was already credited, skipping`);
+      return null;
+    }
+    throw error;
+  }
+  
+  if (status === 'completed') {
+    logger.info(`Deposit credited for user ${chatId}: ${formatUSDT(amount)} USDT, TX: ${txHash}`);
+  } else {
+    logger.info(`Deposit awaiting confirmations for user ${chatId}: ${formatUSDT(amount)} USDT, TX: ${txHash}, confirmations: ${confirmations}`);
+  }
+  
+  return transaction;
+}
+
+/**
+ * Notify a user that their deposit has been credited
+ * @param {Object} transaction - Deposit transaction
+ * @returns {Promise<void>}
+ */
+async function notifyDepositCredited(transaction) {
+  const balance = await Transaction.getUserBalance(transaction.chatId);
+  
+  await notificationService.notifyUser(transaction.chatId, `
+✅ *Deposit Received!*
+
+💰 Amount: ${formatUSDT(transaction.amount)} USDT
+🧾 Transaction ID: #${transaction.id}
+🔗 TX Hash: \`${transaction.txHash}\`
+📊 New Balance: ${formatUSDT(balance)} USDT
+
+Thank you for using Hive Exchange Bot!
+  `);
+}
+
+/**
+ * Alert the admin about an attempt to reuse a credited transaction hash
+ * @param {string} chatId - Chat ID of the user who submitted the hash
+ * @param {string} txHash - Transaction hash
+ * @param {Object} creditedTransaction - Deposit that already credited the hash
+ * @returns {Promise<void>}
+ */
+async function alertDepositReuse(chatId, txHash, creditedTransaction) {
+  logger.warn(`User ${chatId} tried to reuse deposit ${txHash}, already credited as #${creditedTransaction.id}`);
+  
+  const sameUser = creditedTransaction.chatId === chatId;
+  
+  await notificationService.notifyAdmin(`
+⚠️ *Deposit Hash Reuse Attempt*
+
+*User:* ${chatId}
+*TX Hash:* \`${txHash}\`
+*Already credited as:* #${creditedTransaction.id} (user ${creditedTransaction.chatId})
+*Amount:* ${formatUSDT(creditedTransaction.amount)} USDT
+${sameUser ? 'The hash was resubmitted by the same user.' : '❗ The hash was submitted by a *different* user.'}
+  `);
+}
+
+/**
+ * Put a transfer that matches no deposit intent into the admin review queue
+ * @param {Object} transfer - USDT transfer
+ * @param {string|null} claimedChatId - Chat ID of the user claiming the transfer
+ * @returns {Promise<Object>} - Unmatched deposit record
+ */
+async function queueUnmatchedDeposit(transfer, claimedChatId = null) {
+  const [unmatched, created] = await sequelize.transaction(async (t) => {
+    const result = await UnmatchedDeposit.findOrCreate({
+      where: {
+        txHash: transfer.txHash.toLowerCase(),
+        logIndex: transfer.logIndex
+      },
+      defaults: {
+        fromAddress: transfer.from,
+        toAddress: transfer.to,
+        amount: transfer.amount,
+        claimedChatId
+      },
+      transaction: t
+    });
+    
+    // The USDT is in the hot wallet but owed to nobody yet
+    if (result[1]) {
+      await ledgerService.postUnmatchedDeposit(result[0], result[0].amount, t);
+    }
+    
+    return result;
+  });
+  
+  if (!created) {
+    // A user may claim a transfer the scanner queued earlier
+    if (claimedChatId && !unmatched.claimedChatId) {
+      unmatched.claimedChatId = claimedChatId;
+      await unmatched.save();
+      
+      await notificationService.notifyAdmin(`🙋 User ${claimedChatId} claimed unmatched deposit #${unmatched.id} (${formatUSDT(unmatched.amount)} USDT)`);
+    }
+    return unmatched;
+  }
+  
+  logger.warn(`Unmatched deposit #${unmatched.id} queued: ${transfer.amount} USDT from ${transfer.from}, TX: ${transfer.txHash}`);
+  
+  await notificationService.notifyAdmin(`
+❓ *UNMATCHED DEPOSIT*
+
+*ID:* #${unmatched.id}
+*Amount:* ${formatUSDT(unmatched.amount)} USDT
+*From:* \`${unmatched.fromAddress}\`
+*TX Hash:* \`${unmatched.txHash}\`
+*Claimed by:* ${claimedChatId || 'Nobody yet'}
+
+Use these commands to resolve:
+/credit_unmatched ${unmatched.id} [chatId] [amount] - Credit a user (partially if amount is given)
+/refund_unmatched ${unmatched.id} - Refund the remainder to the sender
+  `);
+  
+  return unmatched;
+}
+
+/**
+ * Verify a user-submitted transaction hash and credit or queue its transfers
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<Object>} - Result with credited transactions and queued transfers
+ */
+async function confirmDeposit(chatId, txHash) {
+  // Users with a dedicated address need no intent; others must have an active one
+  const user = await User.findByPk(chatId);
+  const intent = user.depositAddress ? null : await DepositIntent.getActiveIntent(chatId);
+  if (!user.depositAddress && !intent) {
+    return {
+      success: false,
+      error: 'No active deposit request found or it has expired. Please start a new deposit with /deposit.'
+    };
+  }
+  
+  const verification = await blockchainService.verifyDepositTransaction(
+    txHash,
+    user.depositAddress || config.blockchain.depositAddress
+  );
+  
+  if (verification.alreadyCredited) {
+    const creditedTransaction = verification.creditedTransaction;
+    
+    // Resubmitting one's own deposit while it awaits confirmations is not a reuse attempt
+    if (creditedTransaction.status === 'processing' && creditedTransaction.chatId === chatId) {
+      return {
+        success: false,
+        error: `This deposit is already awaiting confirmations (${creditedTransaction.confirmations}/${config.transactions.minConfirmations}). It will be credited automatically.`
+      };
+    }
+    
+    await alertDepositReuse(chatId, txHash, creditedTransaction);
+    return {
+      success: false,
+      error: 'This transaction has already been credited.'
+    };
+  }
+  
+  if (!verification.verified) {
+    return {
+      success: false,
+      error: `Verification failed: ${verification.reason}`
+    };
+  }
+  
+  const credited = [];
+  const pending = [];
+  const queued = [];
+  let openIntent = intent;
+  
+  for (const transfer of verification.transfers) {
+    // Everything sent to a dedicated address is the user's; the shared address needs an exact match
+    const matchesIntent = openIntent && new Decimal(transfer.amount).equals(openIntent.expectedAmount);
+    
+    if (user.depositAddress || matchesIntent) {
+      // Unconfirmed deposits are recorded as processing and completed by the watcher
+      const transaction = await creditDeposit(chatId, transfer.amount, {
+        txHash,
+        logIndex: transfer.logIndex,
+        confirmations: verification.confirmations,
+        intent: openIntent,
+        status: verification.confirmed ? 'completed' : 'processing',
+        actor: `user:${chatId}`
+      });
+      openIntent = null;
+      
+      if (transaction) {
+        (verification.confirmed ? credited : pending).push(transaction);
+      }
+    } else {
+      const unmatched = await queueUnmatchedDeposit({ ...transfer, txHash }, chatId);
+      if (unmatched.status === 'pending') {
+        queued.push(unmatched);
+      }
+    }
+  }
+  
+  if (credited.length === 0 && pending.length === 0 && queued.length === 0) {
+    return {
+      success: false,
+      error: 'This transaction has already been processed.'
+    };
+  }
+  
+  return {
+    success: true,
+    credited,
+    pending,
+    queued
+  };
+}
+
+/**
+ * Re-check deposits waiting for confirmations, completing or failing them
+ * @returns {Promise<Object>} - Check summary
+ */
+async function checkPendingDeposits() {
+  const deposits = await Transaction.findAll({
+    where: {
+      type: 'deposit',
+      status: 'processing'
+    },
+    order: [['createdAt', 'ASC']]
+  });
+  
+  const required = config.transactions.minConfirmations;
+  let completed = 0;
+  let failed = 0;
+  
+  for (const deposit of deposits) {
+    try {
+      const confirmations = await blockchainService.getConfirmations(deposit.txHash);
+      
+      // The node we asked may be behind, so only a receipt missing for long enough means a reorg
+      if (confirmations === null) {
+        const currentBlock = await blockchainService.getBlockNumber();
+        
+        if (deposit.receiptMissingSinceBlock === null) {
+          deposit.receiptMissingSinceBlock = currentBlock;
+          await deposit.save();
+        }
+        
+        const missingFor = currentBlock - deposit.receiptMissingSinceBlock;
+        if (missingFor < config.transactions.missingReceiptBlocks) {
+          logger.warn(`Deposit #${deposit.id}: no receipt for ${deposit.txHash} for ${missingFor} block(s), will retry`);
+          continue;
+        }
+        
+        deposit.adminNotes = 'Transaction receipt disappeared (chain reorganization)';
+        await transitionService.transition(deposit, 'failed', {
+          actor: 'system',
+          reason: 'Receipt disappeared (chain reorganization)'
+        });
+        failed++;
+        
+        logger.warn(`Deposit #${deposit.id} failed: receipt for ${deposit.txHash} disappeared`);
+        await notificationService.notifyUser(deposit.chatId, `
+❌ *Deposit Failed*
+
+Your deposit of ${formatUSDT(deposit.amount)} USDT (#${deposit.id}) was dropped from the blockchain before it was confirmed.
+
+🔗 TX Hash: \`${deposit.txHash}\`
+
+Please check the transaction in your wallet and contact support if you have any questions.
+        `);
+        continue;
+      }
+      
+      if (deposit.receiptMissingSinceBlock !== null) {
+        logger.info(`Deposit #${deposit.id}: receipt for ${deposit.txHash} found again`);
+        deposit.receiptMissingSinceBlock = null;
+        await deposit.save();
+      }
+      
+      if (confirmations >= required) {
+        await sequelize.transaction(async (t) => {
+          deposit.completedAt = new Date();
+          deposit.confirmations = confirmations;
+          await transitionService.transition(deposit, 'completed', {
+            actor: 'system',
+            reason: `Reached ${confirmations} confirmations`,
+            dbTransaction: t
+          });
+          await ledgerService.postDeposit(deposit, t);
+        });
+        completed++;
+        
+        logger.info(`Deposit #${deposit.id} confirmed for user ${deposit.chatId}: ${formatUSDT(deposit.amount)} USDT, TX: ${deposit.txHash}`);
+        await notifyDepositCredited(deposit);
+        continue;
+      }
+      
+      if (confirmations !== deposit.confirmations) {
+        deposit.confirmations = confirmations;
+        await deposit.save();
+        
+        await notificationService.notifyUser(deposit.chatId, `⏳ Deposit #${deposit.id} of ${formatUSDT(deposit.amount)} USDT: ${Math.max(confirmations, 0)}/${required} confirmations`);
+      }
+    } catch (error) {
+      logger.error(`Error checking pending deposit #${deposit.id}:`, error);
+    }
+  }
+  
+  return {
+    checked: deposits.length,
+    completed,
+    failed
+  };
+}
+
+/**
+ * Credit an unmatched deposit to a user, fully or partially (admin action)
+ * @param {number} unmatchedId - Unmatched deposit ID
+ * @param {string} chatId - Chat ID of the user to credit
+ * @param {string} [amount] - USDT amount to credit, defaults to the full amount
+ * @returns {Promise<Object>} - Processing result
+ */
+async function creditUnmatchedDeposit(unmatchedId, chatId, amount = null) {
+  try {
+    const user = await User.findByPk(chatId);
+    if (!user) {
+      return {
+        success: false,
+        error: 'User not found'
+      };
+    }
+    
+    const result = await sequelize.transaction(async (t) => {
+      // Locked so a concurrent credit or refund cannot resolve it as well
+      const unmatched = await UnmatchedDeposit.findByPk(unmatchedId, { transaction: t, lock: t.LOCK.UPDATE });
+      
+      if (!unmatched) {
+        return {
+          success: false,
+          error: 'Unmatched deposit not found'
+        };
+      }
+      
+      if (unmatched.status !== 'pending') {
+        return {
+          success: false,
+          error: `Unmatched deposit is not pending, current status: ${unmatched.status}`
+        };
+      }
+      
+      const creditAmount = new Decimal(amount || unmatched.amount);
+      if (creditAmount.lessThanOrEqualTo(0) || creditAmount.greaterThan(unmatched.amount)) {
+        return {
+          success: false,
+          error: `Amount must be between 0 and ${formatUSDT(unmatched.amount)} USDT`
+        };
+      }
+      
+      const transaction = await creditDeposit(chatId, creditAmount.toFixed(6), {
+        txHash: unmatched.txHash,
+        logIndex: unmatched.logIndex,
+        confirmations: null,
+        actor: 'admin',
+        fromAccount: ledgerService.ACCOUNTS.UNMATCHED_DEPOSITS,
+        dbTransaction: t
+      });
+      
+      unmatched.status = creditAmount.equals(unmatched.amount) ? 'credited' : 'partially_credited';
+      unmatched.creditedAmount = creditAmount.toFixed(6);
+      unmatched.depositTransactionId = transaction.id;
+      unmatched.claimedChatId = unmatched.claimedChatId || chatId;
+      if (unmatched.status === 'credited') {
+        unmatched.resolvedAt = new Date();
+      }
+      await unmatched.save({ transaction: t });
+      
+      return {
+        success: true,
+        unmatched,
+        transaction
+      };
+    });
+    
+    if (result.success) {
+      await notifyDepositCredited(result.transaction);
+    }
+    
+    return result;
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      return {
+        success: false,
+        error: 'This transfer has already been credited'
+      };
+    }
+    
+    logger.error(`Error crediting unmatched deposit ${unmatchedId}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Refund the uncredited remainder of an unmatched deposit to its sender (admin action)
+ * @param {number} unmatchedId - Unmatched deposit ID
+ * @returns {Promise<Object>} - Processing result
+ */
+async function refundUnmatchedDeposit(unmatchedId) {
+  try {
+    if (!blockchainService.canSign()) {
+      return {
+        success: false,
+        error: 'Hot wallet is read-only, refunds are disabled'
+      };
+    }
+    
+    const claim = await sequelize.transaction(async (t) => {
+      // Locked so a concurrent refund or credit cannot resolve it as well
+      const unmatched = await UnmatchedDeposit.findByPk(unmatchedId, { transaction: t, lock: t.LOCK.UPDATE });
+      
+      if (!unmatched) {
+        return {
+          success: false,
+          error: 'Unmatched deposit not found'
+        };
+      }
+      
+      if (!['pending', 'partially_credited'].includes(unmatched.status)) {
+        return {
+          success: false,
+          error: `Unmatched deposit cannot be refunded, current status: ${unmatched.status}`
+        };
+      }
+      
+      const previousStatus = unmatched.status;
+      const refundAmount = new Decimal(unmatched.amount).minus(unmatched.creditedAmount).toFixed(6);
+      
+      // Claimed as refunded before sending, so any later attempt sees it resolved
+      unmatched.status = 'refunded';
+      unmatched.refundedAmount = refundAmount;
+      unmatched.resolvedAt = new Date();
+      await unmatched.save({ transaction: t });
+      
+      return {
+        success: true,
+        unmatched,
+        previousStatus,
+        refundAmount
+      };
+    });
+    
+    if (!claim.success) {
+      return claim;
+    }
+    
+    const { unmatched, previousStatus, refundAmount } = claim;
+    
+    let tx;
+    try {
+      tx = await blockchainService.sendUsdt(unmatched.fromAddress, refundAmount);
+    } catch (error) {
+      unmatched.status = previousStatus;
+      unmatched.refundedAmount = 0;
+      unmatched.resolvedAt = null;
+      await unmatched.save();
+      throw error;
+    }
+    
+    unmatched.refundTxHash = tx.hash;
+    await sequelize.transaction(async (t) => {
+      await unmatched.save({ transaction: t });
+      await ledgerService.postUnmatchedRefund(unmatched, refundAmount, t);
+    });
+    
+    logger.info(`Unmatched deposit #${unmatched.id} refunded: ${refundAmount} USDT to ${unmatched.fromAddress}, TX: ${tx.hash}`);
+    
+    if (unmatched.claimedChatId) {
+      await notificationService.notifyUser(unmatched.claimedChatId, `
+↩️ *Deposit Refunded*
+
+${formatUSDT(refundAmount)} USDT from your deposit could not be matched and was sent back to:
+\`${unmatched.fromAddress}\`
+
+🔗 Refund TX Hash: \`${tx.hash}\`
+      `);
+    }
+    
+    return {
+      success: true,
+      unmatched,
+      txHash: tx.hash,
+      amount: refundAmount
+    };
+  } catch (error) {
+    logger.error(`Error refunding unmatched deposit ${unmatchedId}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  createDepositIntent,
+  creditDeposit,
+  confirmDeposit,
+  checkPendingDeposits,
+  notifyDepositCredited,
+  alertDepositReuse,
+  queueUnmatchedDeposit,
+  creditUnmatchedDeposit,
+  refundUnmatchedDeposit
+};
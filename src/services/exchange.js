@@ -1,22 +1,26 @@
 const Decimal = require('decimal.js');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
 const Transaction = require('../models/Transaction');
 const ExchangeRate = require('../models/ExchangeRate');
+const ExchangeQuote = require('../models/ExchangeQuote');
 const User = require('../models/User');
-const { formatUSDT, formatFiat, createTransactionSummary } = require('../utils/format');
+const ledgerService = require('./ledger');
+const transitionService = require('./transitions');
+const refundService = require('./refund');
+const { formatUSDT, formatFiat, formatPaymentDetails, createTransactionSummary } = require('../utils/format');
 
 /**
- * Process exchange request
+ * Quote an exchange at the current rate; the quote can be accepted until it expires
  * @param {string} chatId - User chat ID
  * @param {string} amount - USDT amount
  * @param {string} fiatType - Fiat currency type
+ * @param {Object} paymentDetails - Payout method and details the fiat is sent to
  * @returns {Promise<Object>} - Processing result
  */
-async function processExchangeRequest(chatId, amount, fiatType) {
+async function createQuote(chatId, amount, fiatType, paymentDetails) {
   try {
-    logger.info(`Processing exchange request for user ${chatId}: ${amount} USDT to ${fiatType}`);
-    
     // Get user
     const user = await User.findByPk(chatId);
     if (!user) {
@@ -38,25 +42,104 @@ async function processExchangeRequest(chatId, amount, fiatType) {
       };
     }
     
-    // Get current exchange rates
-    const rates = await ExchangeRate.getCurrentRates();
-    const rate = fiatType === 'USD' ? rates.rateUSD : rates.rateUAH;
+    // Users sell USDT at our bid
+    const { rate, midRate, spread } = await ExchangeRate.getPrice(fiatType, 'bid');
     
     // Calculate fiat amount
     const fiatAmount = amountDecimal.times(rate).toFixed(2);
     
-    // Create exchange transaction
-    const transaction = await Transaction.createExchange(chatId, amount, fiatAmount, fiatType);
+    const quote = await ExchangeQuote.create({
+      chatId,
+      amount: amountDecimal.toFixed(6),
+      fiatType,
+      rate,
+      midRate,
+      spread,
+      fiatAmount,
+      paymentDetails,
+      expiresAt: new Date(Date.now() + config.exchange.quoteTtlSeconds * 1000)
+    });
     
-    logger.info(`Exchange request created: ${transaction.id}`);
+    logger.info(`Exchange quote #${quote.id} for user ${chatId}: ${amount} USDT to ${fiatAmount} ${fiatType} at ${rate}`);
     
     return {
       success: true,
-      transaction,
-      fiatAmount
+      quote
+    };
+  } catch (error) {
+    logger.error(`Error creating exchange quote for user ${chatId}:`, error);
+    return {
+      success: false,
+      error: error.message
     };
+  }
+}
+
+/**
+ * Accept an unexpired quote: create the exchange at the quoted rate and move the USDT to fiat payout clearing
+ * @param {string} chatId - User chat ID
+ * @param {number} quoteId - Quote ID
+ * @returns {Promise<Object>} - Processing result
+ */
+async function acceptQuote(chatId, quoteId) {
+  try {
+    const result = await sequelize.transaction(async (t) => {
+      // Locked so a quote cannot be accepted twice
+      const quote = await ExchangeQuote.findByPk(quoteId, { transaction: t, lock: t.LOCK.UPDATE });
+      
+      if (!quote || quote.chatId !== chatId) {
+        return {
+          success: false,
+          error: 'Quote not found'
+        };
+      }
+      
+      if (!quote.isExecutable()) {
+        if (quote.status === 'open') {
+          quote.status = 'expired';
+          await quote.save({ transaction: t });
+        }
+        
+        return {
+          success: false,
+          error: `Quote #${quote.id} is ${quote.status}. Please request a new one with /exchange.`
+        };
+      }
+      
+      const exchange = await Transaction.createExchange(quote, { transaction: t });
+      await transitionService.recordCreation(exchange, {
+        actor: `user:${chatId}`,
+        reason: `Accepted quote #${quote.id} at ${quote.rate} ${quote.fiatType}/USDT`,
+        dbTransaction: t
+      });
+      await ledgerService.postExchange(exchange, t);
+      
+      quote.status = 'accepted';
+      quote.transactionId = exchange.id;
+      await quote.save({ transaction: t });
+      
+      return {
+        success: true,
+        transaction: exchange,
+        quote
+      };
+    });
+    
+    if (result.success) {
+      logger.info(`Exchange request created: ${result.transaction.id} from quote #${quoteId}`);
+    }
+    
+    return result;
   } catch (error) {
-    logger.error(`Error processing exchange request for user ${chatId}:`, error);
+    // The balance was spent after the quote was issued
+    if (error instanceof ledgerService.InsufficientBalanceError) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+    
+    logger.error(`Error accepting exchange quote ${quoteId} for user ${chatId}:`, error);
     return {
       success: false,
       error: error.message
@@ -64,6 +147,20 @@ async function processExchangeRequest(chatId, amount, fiatType) {
   }
 }
 
+/**
+ * Cancel an open quote
+ * @param {string} chatId - User chat ID
+ * @param {number} quoteId - Quote ID
+ * @returns {Promise<boolean>} - Whether the quote was cancelled
+ */
+async function cancelQuote(chatId, quoteId) {
+  const [count] = await ExchangeQuote.update(
+    { status: 'cancelled' },
+    { where: { id: quoteId, chatId, status: 'open' } }
+  );
+  return count > 0;
+}
+
 /**
  * Complete exchange transaction (admin action)
  * @param {number} transactionId - Transaction ID
@@ -99,13 +196,19 @@ async function completeExchangeTransaction(transactionId, adminNotes = '') {
     }
     
     // Update transaction
-    transaction.status = 'completed';
-    transaction.completedAt = new Date();
-    if (adminNotes) {
-      transaction.adminNotes = adminNotes;
-    }
-    
-    await transaction.save();
+    await sequelize.transaction(async (t) => {
+      transaction.completedAt = new Date();
+      if (adminNotes) {
+        transaction.adminNotes = adminNotes;
+      }
+      
+      await transitionService.transition(transaction, 'completed', {
+        actor: 'admin',
+        reason: adminNotes || 'Fiat paid out',
+        dbTransaction: t
+      });
+      await ledgerService.settleExchange(transaction, t);
+    });
     
     logger.info(`Exchange transaction completed: ${transactionId}`);
     
@@ -122,6 +225,117 @@ async function completeExchangeTransaction(transactionId, adminNotes = '') {
   }
 }
 
+/**
+ * Reject exchange transaction and return the USDT to the user (admin action)
+ * @param {number} transactionId - Transaction ID
+ * @param {string} reason - Rejection reason
+ * @returns {Promise<Object>} - Processing result
+ */
+async function rejectExchangeTransaction(transactionId, reason) {
+  try {
+    logger.info(`Rejecting exchange transaction: ${transactionId}`);
+    
+    // Find transaction
+    const transaction = await Transaction.findByPk(transactionId);
+    
+    if (!transaction) {
+      return {
+        success: false,
+        error: 'Transaction not found'
+      };
+    }
+    
+    if (transaction.type !== 'exchange') {
+      return {
+        success: false,
+        error: 'Not an exchange transaction'
+      };
+    }
+    
+    if (transaction.status !== 'pending') {
+      return {
+        success: false,
+        error: `Transaction is not pending, current status: ${transaction.status}`
+      };
+    }
+    
+    // Update transaction and return the USDT with a refund
+    const refund = await sequelize.transaction(async (t) => {
+      transaction.adminNotes = reason;
+      await transitionService.transition(transaction, 'failed', {
+        actor: 'admin',
+        reason: `Rejected: ${reason}`,
+        dbTransaction: t
+      });
+      return await refundService.refundTransaction(transaction, `Rejected: ${reason}`, { actor: 'admin', dbTransaction: t });
+    });
+    
+    logger.info(`Exchange transaction rejected: ${transactionId}`);
+    
+    return {
+      success: true,
+      transaction,
+      refund
+    };
+  } catch (error) {
+    logger.error(`Error rejecting exchange transaction ${transactionId}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Cancel a pending exchange on the user's request and return the USDT with a refund
+ * @param {string} chatId - User chat ID
+ * @param {number} transactionId - Transaction ID
+ * @returns {Promise<Object>} - Processing result
+ */
+async function cancelExchange(chatId, transactionId) {
+  try {
+    const transaction = await Transaction.findByPk(transactionId);
+    
+    if (!transaction || transaction.type !== 'exchange' || transaction.chatId !== chatId) {
+      return {
+        success: false,
+        error: 'Exchange not found'
+      };
+    }
+    
+    if (transaction.status !== 'pending') {
+      return {
+        success: false,
+        error: `Exchange #${transaction.id} can no longer be cancelled, current status: ${transaction.status}`
+      };
+    }
+    
+    const actor = `user:${chatId}`;
+    const refund = await sequelize.transaction(async (t) => {
+      await transitionService.transition(transaction, 'cancelled', {
+        actor,
+        reason: 'Cancelled by user',
+        dbTransaction: t
+      });
+      return await refundService.refundTransaction(transaction, 'Cancelled by user', { actor, dbTransaction: t });
+    });
+    
+    logger.info(`Exchange transaction cancelled by user: ${transactionId}`);
+    
+    return {
+      success: true,
+      transaction,
+      refund
+    };
+  } catch (error) {
+    logger.error(`Error cancelling exchange transaction ${transactionId} for user ${chatId}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 /**
  * Get pending exchange requests
  * @returns {Promise<Array>} - Array of pending exchange requests
@@ -165,8 +379,11 @@ function formatAdminExchangeNotification(transaction, user) {
   message += `*User:* ${user.username || 'No username'} (ID: ${user.chatId})\n`;
   message += `*Amount:* ${formatUSDT(transaction.amount)} USDT\n`;
   message += `*Fiat:* ${formatFiat(transaction.fiatAmount)} ${transaction.fiatType}\n`;
+  message += `*Rate:* ${transaction.rate} ${transaction.fiatType}/USDT\n`;
   message += `*Requested:* ${new Date(transaction.createdAt).toLocaleString()}\n\n`;
   
+  message += `*Pay out to:*\n${formatPaymentDetails(transaction.paymentDetails)}\n`;
+  
   message += `Use these commands to process:\n`;
   message += `/complete_exchange ${transaction.id} - Mark as completed\n`;
   message += `/reject_exchange ${transaction.id} - Reject this exchange\n`;
@@ -175,8 +392,12 @@ function formatAdminExchangeNotification(transaction, user) {
 }
 
 module.exports = {
-  processExchangeRequest,
+  createQuote,
+  acceptQuote,
+  cancelQuote,
   completeExchangeTransaction,
+  rejectExchangeTransaction,
+  cancelExchange,
   getPendingExchangeRequests,
   formatAdminExchangeNotification
 };
\ No newline at end of file
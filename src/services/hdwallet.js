@@ -0,0 +1,113 @@
+const { ethers } = require('ethers');
+const { UniqueConstraintError } = require('sequelize');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const User = require('../models/User');
+
+// Account-level derivation path; deposit addresses are its children
+const ACCOUNT_PATH = "m/44'/60'/0'/0";
+
+// Attempts at allocating a free derivation index
+const MAX_ALLOCATION_ATTEMPTS = 5;
+
+let accountNode = null;
+
+/**
+ * Check whether per-user deposit addresses are configured
+ * @returns {boolean} - Whether an xpub or mnemonic is set
+ */
+function isEnabled() {
+  return !!(config.blockchain.hdMnemonic || config.blockchain.hdXpub);
+}
+
+/**
+ * Check whether deposit addresses can sign (needed for sweeping)
+ * @returns {boolean} - Whether a mnemonic is set
+ */
+function canSign() {
+  return !!config.blockchain.hdMnemonic;
+}
+
+/**
+ * Get the account-level HD node
+ * @returns {ethers.HDNodeWallet|ethers.HDNodeVoidWallet} - Account node
+ */
+function getAccountNode() {
+  if (!accountNode) {
+    if (config.blockchain.hdMnemonic) {
+      accountNode = ethers.HDNodeWallet.fromPhrase(config.blockchain.hdMnemonic, undefined, ACCOUNT_PATH);
+    } else if (config.blockchain.hdXpub) {
+      accountNode = ethers.HDNodeWallet.fromExtendedKey(config.blockchain.hdXpub);
+    } else {
+      throw new Error('HD wallet is not configured');
+    }
+  }
+  
+  return accountNode;
+}
+
+/**
+ * Derive the deposit address for a child index
+ * @param {number} index - Child index
+ * @returns {string} - Checksummed address
+ */
+function deriveAddress(index) {
+  return getAccountNode().deriveChild(index).address;
+}
+
+/**
+ * Derive the signing wallet for a child index
+ * @param {number} index - Child index
+ * @returns {ethers.HDNodeWallet} - Wallet able to sign for the deposit address
+ */
+function deriveWallet(index) {
+  if (!canSign()) {
+    throw new Error('HD wallet mnemonic is required to sign for deposit addresses');
+  }
+  
+  return getAccountNode().deriveChild(index);
+}
+
+/**
+ * Get the user's deposit address, assigning one if needed
+ * @param {Object} user - User object
+ * @returns {Promise<string>} - Deposit address
+ */
+async function ensureDepositAddress(user) {
+  if (user.depositAddress) {
+    return user.depositAddress;
+  }
+  
+  for (let attempt = 0; attempt < MAX_ALLOCATION_ATTEMPTS; attempt++) {
+    const maxIndex = await User.max('derivationIndex');
+    const index = maxIndex === null ? 0 : maxIndex + 1;
+    
+    try {
+      user.derivationIndex = index;
+      user.depositAddress = deriveAddress(index);
+      await user.save();
+      
+      logger.info(`Assigned deposit address ${user.depositAddress} (index ${index}) to user ${user.chatId}`);
+      return user.depositAddress;
+    } catch (error) {
+      // Another user took the same index concurrently, try the next one
+      if (!(error instanceof UniqueConstraintError)) {
+        throw error;
+      }
+      await user.reload();
+      if (user.depositAddress) {
+        return user.depositAddress;
+      }
+    }
+  }
+  
+  throw new Error('Unable to allocate a deposit address');
+}
+
+module.exports = {
+  isEnabled,
+  canSign,
+  deriveAddress,
+  deriveWallet,
+  ensureDepositAddress
+};
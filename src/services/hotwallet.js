@@ -0,0 +1,145 @@
+const Decimal = require('decimal.js');
+const { Op } = require('sequelize');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const Transaction = require('../models/Transaction');
+const blockchainService = require('./blockchain');
+const notificationService = require('./notification');
+const ledgerService = require('./ledger');
+const { formatUSDT } = require('../utils/format');
+
+// Balances currently below their floor, so each drop is alerted once
+const lowBalanceAlerts = {
+  usdt: false,
+  bnb: false
+};
+
+/**
+ * Get the USDT still owed to queued and unconfirmed withdrawals
+ * @returns {Promise<string>} - Reserved USDT amount
+ */
+async function getReservedForWithdrawals() {
+  const reserved = await Transaction.sum('amount', {
+    where: {
+      type: 'withdrawal',
+      status: {
+        [Op.in]: ['pending', 'pending_approval', 'processing']
+      }
+    }
+  });
+  
+  return new Decimal(reserved || 0).toFixed(6);
+}
+
+/**
+ * Get the balances of the hot and cold wallets
+ * @returns {Promise<Object>} - Hot and cold wallet balances and the configured limits
+ */
+async function getWalletsOverview() {
+  const hot = await blockchainService.getAddressBalances(config.blockchain.depositAddress);
+  const cold = config.hotWallet.coldAddress
+    ? await blockchainService.getAddressBalances(config.hotWallet.coldAddress)
+    : null;
+  
+  return {
+    hot: {
+      address: config.blockchain.depositAddress,
+      ...hot
+    },
+    cold: cold && {
+      address: config.hotWallet.coldAddress,
+      ...cold
+    },
+    reserved: await getReservedForWithdrawals(),
+    limits: {
+      usdtFloor: config.hotWallet.usdtFloor,
+      usdtCeiling: config.hotWallet.usdtCeiling,
+      bnbFloor: config.hotWallet.bnbFloor
+    }
+  };
+}
+
+/**
+ * Alert admin when a balance drops below its floor, once per drop
+ * @param {string} asset - 'usdt' or 'bnb'
+ * @param {string} balance - Current balance
+ * @param {number} floor - Configured floor
+ * @returns {Promise<void>}
+ */
+async function checkFloor(asset, balance, floor) {
+  const isLow = new Decimal(balance).lessThan(floor);
+  
+  if (isLow && !lowBalanceAlerts[asset]) {
+    const symbol = asset.toUpperCase();
+    logger.warn(`Hot wallet ${symbol} balance ${balance} is below the floor of ${floor}`);
+    await notificationService.notifyAdmin(`
+🪫 *Hot Wallet Low on ${symbol}*
+
+Balance: ${asset === 'usdt' ? formatUSDT(balance) : balance} ${symbol}
+Floor: ${floor} ${symbol}
+Address: \`${config.blockchain.depositAddress}\`
+
+${asset === 'usdt'
+  ? 'Withdrawals may fail until the hot wallet is topped up from the cold wallet.'
+  : 'Withdrawals and sweeps will fail once gas runs out.'}
+    `);
+  } else if (!isLow && lowBalanceAlerts[asset]) {
+    logger.info(`Hot wallet ${asset.toUpperCase()} balance is back above the floor`);
+  }
+  
+  lowBalanceAlerts[asset] = isLow;
+}
+
+/**
+ * Sweep USDT above the hot wallet ceiling to the cold wallet.
+ * Funds owed to queued withdrawals are kept on top of the ceiling.
+ * @param {string} usdtBalance - Current hot wallet USDT balance
+ * @returns {Promise<Object|null>} - Sweep result or null if nothing was swept
+ */
+async function sweepToCold(usdtBalance) {
+  if (!config.hotWallet.coldAddress || !blockchainService.canSign()) {
+    return null;
+  }
+  
+  const reserved = await getReservedForWithdrawals();
+  const excess = new Decimal(usdtBalance).minus(reserved).minus(config.hotWallet.usdtCeiling);
+  
+  if (excess.lessThan(config.hotWallet.minColdSweepAmount)) {
+    return null;
+  }
+  
+  const amount = excess.toFixed(6);
+  const { hash } = await blockchainService.sendUsdt(config.hotWallet.coldAddress, amount);
+  
+  logger.info(`Swept ${amount} USDT from the hot wallet to cold storage, tx hash: ${hash}`);
+  await ledgerService.postColdSweep(amount, hash);
+  
+  await notificationService.notifyAdmin(`
+🧊 *Hot Wallet Swept to Cold*
+
+Amount: ${formatUSDT(amount)} USDT
+Ceiling: ${formatUSDT(config.hotWallet.usdtCeiling)} USDT
+Reserved for withdrawals: ${formatUSDT(reserved)} USDT
+TX Hash: \`${hash}\`
+  `);
+  
+  return { amount, txHash: hash };
+}
+
+/**
+ * Job tick: alert on low balances and sweep the excess to cold storage
+ * @returns {Promise<void>}
+ */
+async function checkHotWallet() {
+  const { usdt, bnb } = await blockchainService.getAddressBalances(config.blockchain.depositAddress);
+  
+  await checkFloor('usdt', usdt, config.hotWallet.usdtFloor);
+  await checkFloor('bnb', bnb, config.hotWallet.bnbFloor);
+  
+  await sweepToCold(usdt);
+}
+
+module.exports = {
+  getWalletsOverview,
+  checkHotWallet
+};
@@ -0,0 +1,469 @@
+const crypto = require('crypto');
+const Decimal = require('decimal.js');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const logger = require('../utils/logger');
+const Transaction = require('../models/Transaction');
+const LedgerEntry = require('../models/LedgerEntry');
+const UserBalance = require('../models/UserBalance');
+const UnmatchedDeposit = require('../models/UnmatchedDeposit');
+
+// House ledger accounts; user accounts are 'user:<chatId>'
+const ACCOUNTS = {
+  HOT_WALLET: 'hot_wallet',
+  COLD_WALLET: 'cold_wallet',
+  FEE_REVENUE: 'fee_revenue',
+  FIAT_PAYOUT_CLEARING: 'fiat_payout_clearing',
+  EXCHANGE_INVENTORY: 'exchange_inventory',
+  ADJUSTMENTS: 'adjustments',
+  UNMATCHED_DEPOSITS: 'unmatched_deposits'
+};
+
+const USER_ACCOUNT_PREFIX = 'user:';
+
+/**
+ * Get the ledger account of a user
+ * @param {string} chatId - Telegram chat ID
+ * @returns {string} - Ledger account
+ */
+function userAccount(chatId) {
+  return `${USER_ACCOUNT_PREFIX}${chatId}`;
+}
+
+/**
+ * Thrown when a posting would take a user balance below zero
+ */
+class InsufficientBalanceError extends Error {
+  /**
+   * @param {string} chatId - Telegram chat ID
+   * @param {string} available - Balance available when the posting was attempted
+   */
+  constructor(chatId, available) {
+    super(`Insufficient balance. Available: ${available} USDT`);
+    this.name = 'InsufficientBalanceError';
+    this.chatId = chatId;
+    this.available = available;
+  }
+}
+
+/**
+ * Post a balanced journal and update the balances of the user accounts it touches.
+ * Amounts are credit-positive: a deposit debits the hot wallet (-) and credits the user (+).
+ * User balance rows are locked (in chat ID order, so concurrent postings cannot deadlock)
+ * for the rest of the database transaction, which makes check-then-debit atomic.
+ * @param {Array} entries - Array of { account, amount }
+ * @param {Object} options - Posting options
+ * @param {number} [options.transactionId] - Transaction that caused the posting
+ * @param {string} [options.description] - Reason for the posting
+ * @param {Object} [options.transaction] - Sequelize transaction to post in
+ * @param {boolean} [options.allowNegative] - Let user balances go below zero
+ * @returns {Promise<string>} - Journal ID
+ * @throws {InsufficientBalanceError} - If a user balance would go below zero
+ */
+async function post(entries, { transactionId = null, description = null, transaction = null, allowNegative = false } = {}) {
+  const total = entries.reduce((sum, entry) => sum.plus(entry.amount), new Decimal(0));
+  if (!total.isZero()) {
+    throw new Error(`Unbalanced journal (off by ${total.toFixed(6)}): ${description}`);
+  }
+  
+  const journalId = crypto.randomUUID();
+  
+  // Net change per user within this journal
+  const userChanges = new Map();
+  for (const entry of entries) {
+    if (entry.account.startsWith(USER_ACCOUNT_PREFIX)) {
+      const chatId = entry.account.slice(USER_ACCOUNT_PREFIX.length);
+      userChanges.set(chatId, (userChanges.get(chatId) || new Decimal(0)).plus(entry.amount));
+    }
+  }
+  
+  const write = async (t) => {
+    for (const chatId of [...userChanges.keys()].sort()) {
+      await UserBalance.findOrCreate({ where: { chatId }, transaction: t });
+      const row = await UserBalance.findByPk(chatId, { transaction: t, lock: t.LOCK.UPDATE });
+      
+      const balance = new Decimal(row.balance).plus(userChanges.get(chatId));
+      if (balance.isNegative() && !allowNegative) {
+        throw new InsufficientBalanceError(chatId, new Decimal(row.balance).toFixed(6));
+      }
+      
+      row.balance = balance.toFixed(6);
+      await row.save({ transaction: t });
+    }
+    
+    await LedgerEntry.bulkCreate(entries.map(entry => ({
+      journalId,
+      account: entry.account,
+      amount: new Decimal(entry.amount).toFixed(6),
+      transactionId,
+      description
+    })), { transaction: t });
+  };
+  
+  if (transaction) {
+    await write(transaction);
+  } else {
+    await sequelize.transaction(write);
+  }
+  
+  return journalId;
+}
+
+/**
+ * Post a two-legged journal moving an amount from one account to another
+ * @param {string} debitAccount - Account debited (e.g. the user paying)
+ * @param {string} creditAccount - Account credited (e.g. the account receiving)
+ * @param {string} amount - USDT amount
+ * @param {Object} options - Posting options, see post()
+ * @returns {Promise<string>} - Journal ID
+ */
+async function transfer(debitAccount, creditAccount, amount, options = {}) {
+  const value = new Decimal(amount);
+  
+  return await post([
+    { account: debitAccount, amount: value.negated() },
+    { account: creditAccount, amount: value }
+  ], options);
+}
+
+/**
+ * Credit a confirmed deposit to the user
+ * @param {Object} deposit - Deposit transaction
+ * @param {Object} [dbTransaction] - Sequelize transaction
+ * @param {Object} [options] - { fromAccount } to credit from an account other than the hot wallet
+ * @returns {Promise<string>} - Journal ID
+ */
+async function postDeposit(deposit, dbTransaction = null, { fromAccount = ACCOUNTS.HOT_WALLET } = {}) {
+  return await transfer(fromAccount, userAccount(deposit.chatId), deposit.amount, {
+    transactionId: deposit.id,
+    description: 'Deposit',
+    transaction: dbTransaction
+  });
+}
+
+/**
+ * Hold a received transfer that matched no deposit in suspense until admin credits or refunds it
+ * @param {Object} unmatched - Unmatched deposit
+ * @param {string} amount - USDT amount received and not yet resolved
+ * @param {Object} [dbTransaction] - Sequelize transaction
+ * @returns {Promise<string>} - Journal ID
+ */
+async function postUnmatchedDeposit(unmatched, amount, dbTransaction = null) {
+  return await transfer(ACCOUNTS.HOT_WALLET, ACCOUNTS.UNMATCHED_DEPOSITS, amount, {
+    description: `Unmatched deposit #${unmatched.id}`,
+    transaction: dbTransaction
+  });
+}
+
+/**
+ * Release the refunded remainder of an unmatched deposit from suspense as it leaves the hot wallet
+ * @param {Object} unmatched - Unmatched deposit
+ * @param {string} amount - USDT amount sent back to the sender
+ * @param {Object} [dbTransaction] - Sequelize transaction
+ * @returns {Promise<string>} - Journal ID
+ */
+async function postUnmatchedRefund(unmatched, amount, dbTransaction = null) {
+  return await transfer(ACCOUNTS.UNMATCHED_DEPOSITS, ACCOUNTS.HOT_WALLET, amount, {
+    description: `Unmatched deposit #${unmatched.id} refunded`,
+    transaction: dbTransaction
+  });
+}
+
+/**
+ * Debit a requested withdrawal and its fee from the user; the fee is booked as revenue
+ * @param {Object} withdrawal - Withdrawal transaction
+ * @param {Object} [dbTransaction] - Sequelize transaction
+ * @param {Object} [options] - { allowNegative } to skip the balance check, { chargeFee } to leave the fee out
+ * @returns {Promise<string>} - Journal ID
+ * @throws {InsufficientBalanceError} - If the user cannot cover the withdrawal and fee
+ */
+async function postWithdrawal(withdrawal, dbTransaction = null, { allowNegative = false, chargeFee = true } = {}) {
+  const amount = new Decimal(withdrawal.amount);
+  const fee = new Decimal(chargeFee ? withdrawal.fee || 0 : 0);
+  
+  const entries = [
+    { account: userAccount(withdrawal.chatId), amount: amount.plus(fee).negated() },
+    { account: ACCOUNTS.HOT_WALLET, amount }
+  ];
+  if (fee.greaterThan(0)) {
+    entries.push({ account: ACCOUNTS.FEE_REVENUE, amount: fee });
+  }
+  
+  return await post(entries, {
+    transactionId: withdrawal.id,
+    description: 'Withdrawal',
+    transaction: dbTransaction,
+    allowNegative
+  });
+}
+
+/**
+ * Get the amount a posting of a transaction debited from its user
+ * @param {Object} transaction - Transaction
+ * @param {string} description - Description of the posting (e.g. 'Withdrawal')
+ * @param {Object} [dbTransaction] - Sequelize transaction
+ * @returns {Promise<string>} - Debited amount
+ */
+async function getUserDebit(transaction, description, dbTransaction = null) {
+  const total = await LedgerEntry.sum('amount', {
+    where: {
+      transactionId: transaction.id,
+      account: userAccount(transaction.chatId),
+      description
+    },
+    transaction: dbTransaction
+  });
+  return new Decimal(total || 0).negated().toFixed(6);
+}
+
+/**
+ * Return a failed or rejected withdrawal and its fee to the user
+ * @param {Object} withdrawal - Withdrawal transaction
+ * @param {Object} refund - Refund transaction the reversal is booked under
+ * @param {Object} [dbTransaction] - Sequelize transaction
+ * @returns {Promise<string>} - Journal ID
+ */
+async function reverseWithdrawal(withdrawal, refund, dbTransaction = null) {
+  // Refund exactly what the withdrawal posting charged
+  const entries = await LedgerEntry.findAll({
+    where: {
+      transactionId: withdrawal.id,
+      description: 'Withdrawal'
+    },
+    transaction: dbTransaction
+  });
+  
+  return await post(entries.map(entry => ({
+    account: entry.account,
+    amount: new Decimal(entry.amount).negated()
+  })), {
+    transactionId: refund.id,
+    description: 'Withdrawal reversal',
+    transaction: dbTransaction
+  });
+}
+
+/**
+ * Move the USDT of a requested exchange from the user to fiat payout clearing
+ * @param {Object} exchange - Exchange transaction
+ * @param {Object} [dbTransaction] - Sequelize transaction
+ * @param {Object} [options] - { allowNegative } to skip the balance check
+ * @returns {Promise<string>} - Journal ID
+ * @throws {InsufficientBalanceError} - If the user cannot cover the exchange
+ */
+async function postExchange(exchange, dbTransaction = null, { allowNegative = false } = {}) {
+  return await transfer(userAccount(exchange.chatId), ACCOUNTS.FIAT_PAYOUT_CLEARING, exchange.amount, {
+    transactionId: exchange.id,
+    description: 'Exchange request',
+    transaction: dbTransaction,
+    allowNegative
+  });
+}
+
+/**
+ * Settle a paid-out exchange: the USDT becomes house inventory
+ * @param {Object} exchange - Exchange transaction
+ * @param {Object} [dbTransaction] - Sequelize transaction
+ * @returns {Promise<string>} - Journal ID
+ */
+async function settleExchange(exchange, dbTransaction = null) {
+  return await transfer(ACCOUNTS.FIAT_PAYOUT_CLEARING, ACCOUNTS.EXCHANGE_INVENTORY, exchange.amount, {
+    transactionId: exchange.id,
+    description: 'Exchange paid out',
+    transaction: dbTransaction
+  });
+}
+
+/**
+ * Return a rejected exchange to the user
+ * @param {Object} exchange - Exchange transaction
+ * @param {Object} refund - Refund transaction the reversal is booked under
+ * @param {Object} [dbTransaction] - Sequelize transaction
+ * @returns {Promise<string>} - Journal ID
+ */
+async function reverseExchange(exchange, refund, dbTransaction = null) {
+  return await transfer(ACCOUNTS.FIAT_PAYOUT_CLEARING, userAccount(exchange.chatId), exchange.amount, {
+    transactionId: refund.id,
+    description: 'Exchange reversal',
+    transaction: dbTransaction
+  });
+}
+
+/**
+ * Credit USDT bought with fiat to the user out of house inventory
+ * @param {Object} buy - Buy transaction
+ * @param {Object} [dbTransaction] - Sequelize transaction
+ * @returns {Promise<string>} - Journal ID
+ */
+async function postBuy(buy, dbTransaction = null) {
+  return await transfer(ACCOUNTS.EXCHANGE_INVENTORY, userAccount(buy.chatId), buy.amount, {
+    transactionId: buy.id,
+    description: 'Buy',
+    transaction: dbTransaction
+  });
+}
+
+/**
+ * Move USDT from one user to another
+ * @param {Object} transferTx - Transfer transaction
+ * @param {Object} [dbTransaction] - Sequelize transaction
+ * @returns {Promise<string>} - Journal ID
+ * @throws {InsufficientBalanceError} - If the sender cannot cover the transfer
+ */
+async function postTransfer(transferTx, dbTransaction = null) {
+  return await transfer(userAccount(transferTx.chatId), userAccount(transferTx.recipientChatId), transferTx.amount, {
+    transactionId: transferTx.id,
+    description: 'Transfer',
+    transaction: dbTransaction
+  });
+}
+
+/**
+ * Apply a confirmed manual adjustment; negative amounts debit the user
+ * @param {Object} adjustment - Adjustment transaction
+ * @param {Object} [dbTransaction] - Sequelize transaction
+ * @returns {Promise<string>} - Journal ID
+ * @throws {InsufficientBalanceError} - If a debit exceeds the user's balance
+ */
+async function postAdjustment(adjustment, dbTransaction = null) {
+  return await transfer(ACCOUNTS.ADJUSTMENTS, userAccount(adjustment.chatId), adjustment.amount, {
+    transactionId: adjustment.id,
+    description: 'Adjustment',
+    transaction: dbTransaction
+  });
+}
+
+/**
+ * Record USDT moved from the hot wallet to cold storage
+ * @param {string} amount - USDT amount
+ * @param {string} txHash - Sweep transaction hash
+ * @returns {Promise<string>} - Journal ID
+ */
+async function postColdSweep(amount, txHash) {
+  return await transfer(ACCOUNTS.COLD_WALLET, ACCOUNTS.HOT_WALLET, amount, {
+    description: `Cold sweep ${txHash}`
+  });
+}
+
+/**
+ * Get the net amount posted to an account since a point in time
+ * @param {string} account - Ledger account
+ * @param {Date} since - Start of the period
+ * @returns {Promise<string>} - Net amount
+ */
+async function getAccountTotalSince(account, since) {
+  const total = await LedgerEntry.sum('amount', {
+    where: {
+      account,
+      createdAt: {
+        [Op.gte]: since
+      }
+    }
+  });
+  return new Decimal(total || 0).toFixed(6);
+}
+
+/**
+ * Get the sum of all user balances
+ * @returns {Promise<string>} - Total owed to users
+ */
+async function getTotalUserBalances() {
+  const total = await UserBalance.sum('balance');
+  return new Decimal(total || 0).toFixed(6);
+}
+
+/**
+ * Post opening journals for transactions recorded before the ledger existed.
+ * Runs once: does nothing when the ledger already has entries. Overdrafts from
+ * before the ledger are carried over as negative balances instead of failing.
+ * @returns {Promise<number>} - Number of transactions posted
+ */
+async function migrateExistingTransactions() {
+  if (await LedgerEntry.count() > 0) {
+    return 0;
+  }
+  
+  const transactions = await Transaction.findAll({ order: [['id', 'ASC']] });
+  let posted = 0;
+  
+  await sequelize.transaction(async (t) => {
+    for (const tx of transactions) {
+      if (tx.type === 'deposit' && tx.status === 'completed') {
+        await postDeposit(tx, t);
+      } else if (tx.type === 'withdrawal' && ['completed', 'pending', 'processing', 'pending_approval'].includes(tx.status)) {
+        // Fees were never charged before the ledger; keep balances as they were
+        await postWithdrawal(tx, t, { allowNegative: true, chargeFee: false });
+      } else if (tx.type === 'exchange' && ['completed', 'pending', 'processing'].includes(tx.status)) {
+        await postExchange(tx, t, { allowNegative: true });
+        if (tx.status === 'completed') {
+          await settleExchange(tx, t);
+        }
+      } else {
+        continue;
+      }
+      posted++;
+    }
+  });
+  
+  if (posted > 0) {
+    logger.info(`Ledger opened with ${posted} existing transaction(s)`);
+  }
+  
+  return posted;
+}
+
+/**
+ * Hold unmatched deposits received before they were booked in suspense.
+ * Runs once: does nothing when the suspense account already has entries.
+ * @returns {Promise<number>} - Number of unmatched deposits posted
+ */
+async function migrateUnmatchedDeposits() {
+  if (await LedgerEntry.count({ where: { account: ACCOUNTS.UNMATCHED_DEPOSITS } }) > 0) {
+    return 0;
+  }
+  
+  const unresolved = await UnmatchedDeposit.getUnresolved();
+  let posted = 0;
+  
+  await sequelize.transaction(async (t) => {
+    for (const unmatched of unresolved) {
+      // Partial credits were already posted from the hot wallet
+      const remaining = new Decimal(unmatched.amount).minus(unmatched.creditedAmount || 0);
+      if (remaining.greaterThan(0)) {
+        await postUnmatchedDeposit(unmatched, remaining.toFixed(6), t);
+        posted++;
+      }
+    }
+  });
+  
+  if (posted > 0) {
+    logger.info(`Moved ${posted} unresolved unmatched deposit(s) into suspense`);
+  }
+  
+  return posted;
+}
+
+module.exports = {
+  ACCOUNTS,
+  InsufficientBalanceError,
+  userAccount,
+  post,
+  transfer,
+  postDeposit,
+  postUnmatchedDeposit,
+  postUnmatchedRefund,
+  postWithdrawal,
+  getUserDebit,
+  reverseWithdrawal,
+  postExchange,
+  settleExchange,
+  reverseExchange,
+  postBuy,
+  postTransfer,
+  postAdjustment,
+  postColdSweep,
+  getAccountTotalSince,
+  getTotalUserBalances,
+  migrateExistingTransactions,
+  migrateUnmatchedDeposits
+};
@@ -3,6 +3,7 @@ const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const SystemMetric = require('../models/SystemMetric');
 const logger = require('../utils/logger');
+const ledgerService = require('./ledger');
 const Decimal = require('decimal.js');
 
 /**
@@ -20,10 +21,13 @@ async function calculateDailyVolume(date = new Date()) {
     const endOfDay = new Date(dateStr);
     endOfDay.setHours(23, 59, 59, 999);
     
-    // Get all completed transactions for the day
+    // Get all completed transactions for the day; adjustments and refunds are corrections, not volume
     const transactions = await Transaction.findAll({
       where: {
         status: 'completed',
+        type: {
+          [Op.notIn]: ['adjustment', 'refund']
+        },
         completedAt: {
           [Op.between]: [startOfDay, endOfDay]
         }
@@ -34,7 +38,9 @@ async function calculateDailyVolume(date = new Date()) {
     const volumeByType = {
       deposit: new Decimal(0),
       withdrawal: new Decimal(0),
-      exchange: new Decimal(0)
+      exchange: new Decimal(0),
+      transfer: new Decimal(0),
+      buy: new Decimal(0)
     };
     
     let totalVolume = new Decimal(0);
@@ -52,6 +58,8 @@ async function calculateDailyVolume(date = new Date()) {
       deposit: volumeByType.deposit.toString(),
       withdrawal: volumeByType.withdrawal.toString(),
       exchange: volumeByType.exchange.toString(),
+      transfer: volumeByType.transfer.toString(),
+      buy: volumeByType.buy.toString(),
       count: transactions.length
     };
     
@@ -63,6 +71,8 @@ async function calculateDailyVolume(date = new Date()) {
         deposit: result.deposit,
         withdrawal: result.withdrawal,
         exchange: result.exchange,
+        transfer: result.transfer,
+        buy: result.buy,
         count: result.count
       }
     );
@@ -151,6 +161,111 @@ async function getVolumeMetricsForPeriod(days) {
   }
 }
 
+/**
+ * Get fee revenue booked in the ledger for the last day, week and month
+ * @returns {Promise<Object>} - Fees earned per period
+ */
+async function getFeesEarned() {
+  try {
+    const now = Date.now();
+    const dayMs = 24 * 60 * 60 * 1000;
+    
+    return {
+      daily: await ledgerService.getAccountTotalSince(ledgerService.ACCOUNTS.FEE_REVENUE, new Date(now - dayMs)),
+      weekly: await ledgerService.getAccountTotalSince(ledgerService.ACCOUNTS.FEE_REVENUE, new Date(now - 7 * dayMs)),
+      monthly: await ledgerService.getAccountTotalSince(ledgerService.ACCOUNTS.FEE_REVENUE, new Date(now - 30 * dayMs))
+    };
+  } catch (error) {
+    logger.error('Error getting fees earned:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the USDT refunded for failed withdrawals and rejected exchanges in the last day, week and month
+ * @returns {Promise<Object>} - Refund totals per period
+ */
+async function getRefundTotals() {
+  try {
+    const now = Date.now();
+    const dayMs = 24 * 60 * 60 * 1000;
+    
+    const sumSince = async (since) => {
+      const total = await Transaction.sum('amount', {
+        where: {
+          type: 'refund',
+          completedAt: {
+            [Op.gte]: since
+          }
+        }
+      });
+      return new Decimal(total || 0).toFixed(6);
+    };
+    
+    return {
+      daily: await sumSince(new Date(now - dayMs)),
+      weekly: await sumSince(new Date(now - 7 * dayMs)),
+      monthly: await sumSince(new Date(now - 30 * dayMs))
+    };
+  } catch (error) {
+    logger.error('Error getting refund totals:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the spread earned on completed exchanges and buys in the last day, week and month
+ * Margin is the USDT amount times the spread between the mid and executed rates, in each fiat currency
+ * @returns {Promise<Object>} - Margin income per period, each { USD, UAH }
+ */
+async function getMarginIncome() {
+  try {
+    const now = Date.now();
+    const dayMs = 24 * 60 * 60 * 1000;
+    const periods = {
+      daily: new Date(now - dayMs),
+      weekly: new Date(now - 7 * dayMs),
+      monthly: new Date(now - 30 * dayMs)
+    };
+    
+    const transactions = await Transaction.findAll({
+      where: {
+        type: {
+          [Op.in]: ['exchange', 'buy']
+        },
+        status: 'completed',
+        spread: {
+          [Op.ne]: null
+        },
+        completedAt: {
+          [Op.gte]: periods.monthly
+        }
+      }
+    });
+    
+    const result = {};
+    for (const [period, since] of Object.entries(periods)) {
+      const totals = { USD: new Decimal(0), UAH: new Decimal(0) };
+      
+      transactions
+        .filter(tx => tx.completedAt >= since)
+        .forEach(tx => {
+          totals[tx.fiatType] = totals[tx.fiatType].plus(new Decimal(tx.amount).times(tx.spread));
+        });
+      
+      result[period] = {
+        USD: totals.USD.toFixed(2),
+        UAH: totals.UAH.toFixed(2)
+      };
+    }
+    
+    return result;
+  } catch (error) {
+    logger.error('Error getting margin income:', error);
+    throw error;
+  }
+}
+
 /**
  * Get system overview metrics
  * @returns {Promise<Object>} - System overview
@@ -175,13 +290,34 @@ async function getSystemOverview() {
       }
     });
     
+    // Get paid buys awaiting review
+    const pendingBuys = await Transaction.count({
+      where: {
+        type: 'buy',
+        status: 'processing'
+      }
+    });
+    
+    // Get withdrawal fees earned, net of refunded ones
+    const fees = await getFeesEarned();
+    
+    // Get refunds of failed withdrawals and rejected exchanges
+    const refunds = await getRefundTotals();
+    
+    // Get spread earned on exchanges and buys
+    const margins = await getMarginIncome();
+    
     return {
       users: userMetrics,
       volume: {
         daily: dailyVolume.total,
         weekly: volume7d
       },
-      pendingExchanges
+      fees,
+      refunds,
+      margins,
+      pendingExchanges,
+      pendingBuys
     };
   } catch (error) {
     logger.error('Error getting system overview:', error);
@@ -193,5 +329,8 @@ module.exports = {
   calculateDailyVolume,
   getUserCountMetrics,
   getVolumeMetricsForPeriod,
+  getFeesEarned,
+  getRefundTotals,
+  getMarginIncome,
   getSystemOverview
 };
\ No newline at end of file
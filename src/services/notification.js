@@ -0,0 +1,67 @@
+const TelegramBot = require('node-telegram-bot-api');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Send-only bot instances used by background services
+const userBot = new TelegramBot(config.telegramToken, { polling: false });
+const adminBot = new TelegramBot(config.adminTelegramToken, { polling: false });
+
+/**
+ * Send a message to a user through the user bot
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} message - Message text
+ * @param {Object} options - Telegram send options
+ * @returns {Promise<Object|null>} - Sent message or null on failure
+ */
+async function notifyUser(chatId, message, options = { parse_mode: 'Markdown' }) {
+  try {
+    return await userBot.sendMessage(chatId, message, options);
+  } catch (error) {
+    logger.error(`Failed to notify user ${chatId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Send a message to the admin chat through the admin bot
+ * @param {string} message - Message text
+ * @param {Object} options - Telegram send options
+ * @returns {Promise<Object|null>} - Sent message or null on failure
+ */
+async function notifyAdmin(message, options = { parse_mode: 'Markdown' }) {
+  try {
+    return await adminBot.sendMessage(config.adminChatId, message, options);
+  } catch (error) {
+    logger.error('Failed to notify admin:', error);
+    return null;
+  }
+}
+
+/**
+ * Forward a photo a user sent to the user bot into the admin chat
+ * File IDs are bot-specific, so the photo is streamed through the user bot
+ * @param {string} fileId - User bot file ID of the photo
+ * @param {string} caption - Photo caption
+ * @param {Object} options - Telegram send options
+ * @returns {Promise<Object|null>} - Sent message or null on failure
+ */
+async function notifyAdminWithPhoto(fileId, caption, options = { parse_mode: 'Markdown' }) {
+  try {
+    return await adminBot.sendPhoto(config.adminChatId, userBot.getFileStream(fileId), {
+      ...options,
+      caption
+    }, {
+      filename: `${fileId}.jpg`,
+      contentType: 'image/jpeg'
+    });
+  } catch (error) {
+    logger.error('Failed to forward photo to admin:', error);
+    return null;
+  }
+}
+
+module.exports = {
+  notifyUser,
+  notifyAdmin,
+  notifyAdminWithPhoto
+};
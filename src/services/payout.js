@@ -0,0 +1,98 @@
+const { UniqueConstraintError } = require('sequelize');
+const logger = require('../utils/logger');
+const PayoutMethod = require('../models/PayoutMethod');
+
+/**
+ * Save a fiat payout method for reuse in exchanges
+ * @param {string} chatId - Telegram chat ID
+ * @param {Object} method - { label, type, details } from validation.parseAddPayoutCommand
+ * @returns {Promise<Object>} - { success, method } or { success: false, error }
+ */
+async function addPayoutMethod(chatId, { label, type, details }) {
+  try {
+    const method = await PayoutMethod.create({ chatId, label, type, details });
+    logger.info(`Payout method "${label}" (${type}) added for user ${chatId}`);
+    return { success: true, method };
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      return { success: false, error: `Label "${label}" is already in use` };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Remove a saved payout method
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} label - Label
+ * @returns {Promise<boolean>} - Whether a method was removed
+ */
+async function removePayoutMethod(chatId, label) {
+  const count = await PayoutMethod.destroy({ where: { chatId, label } });
+  if (count > 0) {
+    logger.info(`Payout method "${label}" removed for user ${chatId}`);
+  }
+  return count > 0;
+}
+
+/**
+ * Get the saved payout methods that can receive a fiat currency
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} fiatType - Fiat currency type
+ * @returns {Promise<Array>} - Array of payout methods
+ */
+async function getMethodsFor(chatId, fiatType) {
+  const methods = await PayoutMethod.getPayoutMethods(chatId);
+  return methods.filter(method => method.supports(fiatType));
+}
+
+/**
+ * Find the payout method chosen for an exchange, by label or ID
+ * @param {string} chatId - Telegram chat ID
+ * @param {Object} selector - { label } or { id }
+ * @param {string} fiatType - Fiat currency type of the exchange
+ * @returns {Promise<Object>} - { success, method } or { success: false, error }
+ */
+async function resolvePayoutMethod(chatId, { label, id }, fiatType) {
+  const method = await PayoutMethod.findOne({ where: label ? { chatId, label } : { chatId, id } });
+  
+  if (!method) {
+    return { success: false, error: label ? `No saved payout method "${label}". See /payout_methods` : 'Payout method not found. See /payout_methods' };
+  }
+  
+  if (!method.supports(fiatType)) {
+    return { success: false, error: `Payout method "${method.label}" (${method.type}) cannot receive ${fiatType}` };
+  }
+  
+  return { success: true, method };
+}
+
+/**
+ * Describe a payout method to its owner, masking card and account numbers
+ * @param {Object} method - Payout method
+ * @returns {string} - Short description
+ */
+function describePayoutMethod(method) {
+  const { details } = method;
+  
+  switch (method.type) {
+    case 'card':
+      return `Card •••• ${details.cardNumber.slice(-4)}`;
+    case 'iban':
+      return `IBAN ${details.iban.slice(0, 4)}…${details.iban.slice(-4)} (${details.holderName})`;
+    case 'swift':
+      return `SWIFT ${details.swiftCode}, account …${details.accountNumber.slice(-4)} (${details.beneficiaryName})`;
+    case 'cash':
+      return `Cash pickup in ${details.city}`;
+    default:
+      return method.type;
+  }
+}
+
+module.exports = {
+  addPayoutMethod,
+  removePayoutMethod,
+  getMethodsFor,
+  resolvePayoutMethod,
+  describePayoutMethod
+};
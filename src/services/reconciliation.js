@@ -0,0 +1,152 @@
+const { Op, fn, col } = require('sequelize');
+const Decimal = require('decimal.js');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const SystemMetric = require('../models/SystemMetric');
+const LedgerEntry = require('../models/LedgerEntry');
+const blockchainService = require('./blockchain');
+const notificationService = require('./notification');
+const ledgerService = require('./ledger');
+const { formatUSDT } = require('../utils/format');
+
+// Withdrawals debited from users whose USDT is still in the hot wallet
+const PENDING_WITHDRAWAL_STATUSES = ['pending', 'processing', 'pending_approval'];
+
+/**
+ * Sum amounts and fees of all transactions by type and status
+ * @returns {Promise<Function>} - Lookup (type, statuses, field) => Decimal
+ */
+async function getTransactionTotals() {
+  const rows = await Transaction.findAll({
+    attributes: [
+      'type',
+      'status',
+      [fn('SUM', col('amount')), 'amount'],
+      [fn('SUM', col('fee')), 'fee']
+    ],
+    group: ['type', 'status'],
+    raw: true
+  });
+  
+  return (type, statuses, field = 'amount') => rows
+    .filter(row => row.type === type && statuses.includes(row.status))
+    .reduce((sum, row) => sum.plus(row[field] || 0), new Decimal(0));
+}
+
+/**
+ * Get the USDT credited to users but still sitting on their deposit addresses
+ * @returns {Promise<Decimal>} - Unswept USDT
+ */
+async function getUnsweptDeposits() {
+  const users = await User.findAll({
+    where: {
+      depositAddress: {
+        [Op.ne]: null
+      }
+    },
+    attributes: ['depositAddress']
+  });
+  
+  let total = new Decimal(0);
+  for (const user of users) {
+    const { usdt } = await blockchainService.getAddressBalances(user.depositAddress);
+    total = total.plus(usdt);
+  }
+  
+  return total;
+}
+
+/**
+ * Compare what we owe users with what the wallets hold, record it and alert on a gap
+ * @returns {Promise<Object>} - Reconciliation report
+ */
+async function reconcile() {
+  const totals = await getTransactionTotals();
+  
+  // What the wallets should hold
+  const userBalances = new Decimal(await ledgerService.getTotalUserBalances());
+  const pendingWithdrawals = totals('withdrawal', PENDING_WITHDRAWAL_STATUSES);
+  const pendingExchanges = new Decimal(await LedgerEntry.getAccountBalance(ledgerService.ACCOUNTS.FIAT_PAYOUT_CLEARING));
+  const collectedFees = new Decimal(await LedgerEntry.getAccountBalance(ledgerService.ACCOUNTS.FEE_REVENUE));
+  // Exchanges add to the inventory and buys draw on it, so this is the net USDT bought from users
+  const exchangedUsdt = new Decimal(await LedgerEntry.getAccountBalance(ledgerService.ACCOUNTS.EXCHANGE_INVENTORY));
+  const unmatchedDeposits = new Decimal(await LedgerEntry.getAccountBalance(ledgerService.ACCOUNTS.UNMATCHED_DEPOSITS));
+  
+  const expected = userBalances
+    .plus(pendingWithdrawals)
+    .plus(pendingExchanges)
+    .plus(collectedFees)
+    .plus(exchangedUsdt)
+    .plus(unmatchedDeposits);
+  
+  // What the wallets actually hold
+  const hotWallet = new Decimal(await blockchainService.getWalletBalance());
+  const coldWallet = config.hotWallet.coldAddress
+    ? new Decimal((await blockchainService.getAddressBalances(config.hotWallet.coldAddress)).usdt)
+    : new Decimal(0);
+  const unsweptDeposits = await getUnsweptDeposits();
+  
+  const actual = hotWallet.plus(coldWallet).plus(unsweptDeposits);
+  const gap = actual.minus(expected);
+  
+  const report = {
+    userBalances: userBalances.toFixed(6),
+    pendingWithdrawals: pendingWithdrawals.toFixed(6),
+    pendingExchanges: pendingExchanges.toFixed(6),
+    collectedFees: collectedFees.toFixed(6),
+    exchangedUsdt: exchangedUsdt.toFixed(6),
+    unmatchedDeposits: unmatchedDeposits.toFixed(6),
+    expected: expected.toFixed(6),
+    hotWallet: hotWallet.toFixed(6),
+    coldWallet: coldWallet.toFixed(6),
+    unsweptDeposits: unsweptDeposits.toFixed(6),
+    actual: actual.toFixed(6),
+    gap: gap.toFixed(6),
+    withinTolerance: gap.abs().lessThanOrEqualTo(config.reconciliation.toleranceUsdt),
+    checkedAt: new Date().toISOString()
+  };
+  
+  await SystemMetric.recordReconciliation(report.checkedAt.split('T')[0], report.gap, report);
+  
+  if (report.withinTolerance) {
+    logger.info(`Reconciliation OK, gap: ${report.gap} USDT`);
+  } else {
+    logger.warn(`Reconciliation gap of ${report.gap} USDT exceeds the tolerance of ${config.reconciliation.toleranceUsdt} USDT`);
+    await notificationService.notifyAdmin(`⚠️ *Reconciliation Gap*\n\n${formatReport(report)}`);
+  }
+  
+  return report;
+}
+
+/**
+ * Format a reconciliation report for admin
+ * @param {Object} report - Reconciliation report
+ * @returns {string} - Formatted report
+ */
+function formatReport(report) {
+  let message = `📒 *Expected Holdings:* ${formatUSDT(report.expected)} USDT\n`;
+  message += `- User balances: ${formatUSDT(report.userBalances)}\n`;
+  message += `- Pending withdrawals: ${formatUSDT(report.pendingWithdrawals)}\n`;
+  message += `- Pending exchanges: ${formatUSDT(report.pendingExchanges)}\n`;
+  message += `- Collected fees: ${formatUSDT(report.collectedFees)}\n`;
+  message += `- Exchanged USDT: ${formatUSDT(report.exchangedUsdt)}\n`;
+  message += `- Unmatched deposits: ${formatUSDT(report.unmatchedDeposits)}\n\n`;
+  
+  message += `⛓ *On-chain Holdings:* ${formatUSDT(report.actual)} USDT\n`;
+  message += `- Hot wallet: ${formatUSDT(report.hotWallet)}\n`;
+  message += `- Cold wallet: ${formatUSDT(report.coldWallet)}\n`;
+  message += `- Unswept deposit addresses: ${formatUSDT(report.unsweptDeposits)}\n\n`;
+  
+  message += `${report.withinTolerance ? '✅' : '❌'} *Gap:* ${formatUSDT(report.gap)} USDT `;
+  message += `(tolerance ${formatUSDT(config.reconciliation.toleranceUsdt)})\n`;
+  message += `Checked: ${new Date(report.checkedAt).toLocaleString()}`;
+  
+  return message;
+}
+
+module.exports = {
+  reconcile,
+  formatReport
+};
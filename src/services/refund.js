@@ -0,0 +1,51 @@
+const logger = require('../utils/logger');
+const Transaction = require('../models/Transaction');
+const ledgerService = require('./ledger');
+const transitionService = require('./transitions');
+
+// Ledger posting that debited the user, per refundable transaction type
+const DEBIT_POSTINGS = {
+  withdrawal: 'Withdrawal',
+  exchange: 'Exchange request'
+};
+
+/**
+ * Return what a failed withdrawal or rejected or cancelled exchange debited to the user, booked as
+ * a refund transaction linked to the original. Call it in the same database transaction
+ * that fails the original.
+ * @param {Object} original - Failed withdrawal or rejected or cancelled exchange
+ * @param {string} reason - Why the original was refunded
+ * @param {Object} options - Refund options
+ * @param {string} options.actor - 'system', 'admin', 'admin:<chatId>' or 'user:<chatId>'
+ * @param {Object} options.dbTransaction - Sequelize transaction
+ * @returns {Promise<Object>} - Created refund transaction
+ */
+async function refundTransaction(original, reason, { actor, dbTransaction }) {
+  const description = DEBIT_POSTINGS[original.type];
+  if (!description) {
+    throw new Error(`${original.type} transactions cannot be refunded`);
+  }
+  
+  const amount = await ledgerService.getUserDebit(original, description, dbTransaction);
+  const refund = await Transaction.createRefund(original, amount, reason, { transaction: dbTransaction });
+  
+  await transitionService.recordCreation(refund, {
+    actor,
+    reason: `Refund of ${original.type} #${original.id}`,
+    dbTransaction
+  });
+  
+  if (original.type === 'withdrawal') {
+    await ledgerService.reverseWithdrawal(original, refund, dbTransaction);
+  } else {
+    await ledgerService.reverseExchange(original, refund, dbTransaction);
+  }
+  
+  logger.info(`Refund #${refund.id}: ${amount} USDT returned to user ${original.chatId} for ${original.type} #${original.id}`);
+  
+  return refund;
+}
+
+module.exports = {
+  refundTransaction
+};
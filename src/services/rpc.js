@@ -0,0 +1,166 @@
+const { ethers } = require('ethers');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const notificationService = require('./notification');
+
+// One entry per configured RPC endpoint, in priority order
+const endpoints = config.blockchain.rpcUrls.map((url) => ({
+  url,
+  provider: new ethers.JsonRpcProvider(url, config.blockchain.chainId, { staticNetwork: true }),
+  healthy: true,
+  blockNumber: null,
+  lastCheckedAt: null,
+  error: null
+}));
+
+// Index of the endpoint in use (priority mode)
+let activeIndex = 0;
+
+// Provider requiring several endpoints to agree (quorum mode)
+let quorumProvider = null;
+
+/**
+ * Check whether results must be confirmed by several endpoints
+ * @returns {boolean} - Whether quorum mode is on
+ */
+function isQuorumMode() {
+  return config.rpc.mode === 'quorum' && endpoints.length > 1;
+}
+
+/**
+ * Get the provider all blockchain calls should go through
+ * @returns {ethers.Provider} - Active provider
+ */
+function getProvider() {
+  if (endpoints.length === 0) {
+    throw new Error('No RPC endpoint configured. Set BLOCKCHAIN_RPC_URLS');
+  }
+  
+  if (isQuorumMode()) {
+    if (!quorumProvider) {
+      quorumProvider = new ethers.FallbackProvider(
+        endpoints.map((endpoint, index) => ({
+          provider: endpoint.provider,
+          priority: index + 1,
+          weight: 1,
+          stallTimeout: config.rpc.timeoutMs
+        })),
+        config.blockchain.chainId,
+        { quorum: Math.min(config.rpc.quorum, endpoints.length) }
+      );
+    }
+    return quorumProvider;
+  }
+  
+  return endpoints[activeIndex].provider;
+}
+
+/**
+ * Hide credentials embedded in an RPC URL (API keys in the path or query)
+ * @param {string} url - RPC URL
+ * @returns {string} - Host of the URL
+ */
+function describeEndpoint(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return 'invalid URL';
+  }
+}
+
+/**
+ * Get the block height of an endpoint, giving up after the configured timeout
+ * @param {Object} endpoint - RPC endpoint
+ * @returns {Promise<number>} - Block number
+ */
+async function fetchBlockNumber(endpoint) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${config.rpc.timeoutMs}ms`)), config.rpc.timeoutMs);
+  });
+  
+  try {
+    return await Promise.race([endpoint.provider.getBlockNumber(), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Probe all endpoints and fail over to the highest-priority healthy one.
+ * An endpoint is unhealthy when it errors or lags the best height by more than the allowed blocks.
+ * @returns {Promise<void>}
+ */
+async function checkHealth() {
+  const results = await Promise.allSettled(endpoints.map(fetchBlockNumber));
+  const heights = results
+    .filter(result => result.status === 'fulfilled')
+    .map(result => result.value);
+  const bestHeight = heights.length > 0 ? Math.max(...heights) : null;
+  
+  results.forEach((result, index) => {
+    const endpoint = endpoints[index];
+    endpoint.lastCheckedAt = new Date();
+    
+    if (result.status === 'rejected') {
+      endpoint.healthy = false;
+      endpoint.error = result.reason.message;
+      return;
+    }
+    
+    endpoint.blockNumber = result.value;
+    const lag = bestHeight - result.value;
+    endpoint.healthy = lag <= config.rpc.maxBlockLag;
+    endpoint.error = endpoint.healthy ? null : `${lag} blocks behind`;
+  });
+  
+  if (isQuorumMode()) {
+    const healthyCount = endpoints.filter(endpoint => endpoint.healthy).length;
+    if (healthyCount < config.rpc.quorum) {
+      logger.error(`Only ${healthyCount} healthy RPC endpoint(s), quorum is ${config.rpc.quorum}`);
+    }
+    return;
+  }
+  
+  const nextIndex = endpoints.findIndex(endpoint => endpoint.healthy);
+  
+  if (nextIndex === -1) {
+    logger.error('No healthy RPC endpoint, staying on the current one');
+    return;
+  }
+  
+  if (nextIndex !== activeIndex) {
+    const previous = endpoints[activeIndex];
+    const next = endpoints[nextIndex];
+    activeIndex = nextIndex;
+    
+    logger.warn(`RPC failover: ${describeEndpoint(previous.url)} -> ${describeEndpoint(next.url)}${previous.error ? ` (${previous.error})` : ''}`);
+    await notificationService.notifyAdmin(`🔀 RPC provider switched from ${describeEndpoint(previous.url)} to ${describeEndpoint(next.url)}${previous.error ? `\nReason: ${previous.error}` : ''}`);
+  }
+}
+
+/**
+ * Get a one-line description of the RPC provider in use
+ * @returns {string} - Status line
+ */
+function getStatusLine() {
+  const healthyCount = endpoints.filter(endpoint => endpoint.healthy).length;
+  
+  if (isQuorumMode()) {
+    return `Quorum ${Math.min(config.rpc.quorum, endpoints.length)} of ${endpoints.length} (${healthyCount} healthy)`;
+  }
+  
+  const active = endpoints[activeIndex];
+  if (!active) {
+    return 'Not configured';
+  }
+  
+  const height = active.blockNumber !== null ? `, block ${active.blockNumber}` : '';
+  return `${describeEndpoint(active.url)} (#${activeIndex + 1} of ${endpoints.length}, ${healthyCount} healthy${height})`;
+}
+
+module.exports = {
+  getProvider,
+  checkHealth,
+  getStatusLine
+};
@@ -0,0 +1,177 @@
+const { Op } = require('sequelize');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const Transaction = require('../models/Transaction');
+const DepositIntent = require('../models/DepositIntent');
+const SystemSetting = require('../models/SystemSetting');
+const UnmatchedDeposit = require('../models/UnmatchedDeposit');
+const User = require('../models/User');
+const blockchainService = require('./blockchain');
+const depositService = require('./deposit');
+
+// Setting key holding the last fully scanned block
+const LAST_BLOCK_KEY = 'deposit_scanner.last_block';
+
+// Maximum number of recipient addresses per log query
+const RECIPIENTS_PER_QUERY = 100;
+
+/**
+ * Get per-user deposit addresses mapped to their owners
+ * @returns {Promise<Map>} - Map of lowercase address to chat ID
+ */
+async function getUserDepositAddresses() {
+  const users = await User.findAll({
+    where: {
+      depositAddress: {
+        [Op.ne]: null
+      }
+    },
+    attributes: ['chatId', 'depositAddress']
+  });
+  
+  return new Map(users.map(user => [user.depositAddress.toLowerCase(), user.chatId]));
+}
+
+/**
+ * Attribute a transfer to a user and credit it
+ * @param {Object} transfer - USDT transfer to one of our addresses
+ * @param {number} latestBlock - Latest block number
+ * @param {Map} userAddresses - Map of lowercase deposit address to chat ID
+ * @returns {Promise<boolean>} - Whether the transfer was credited
+ */
+async function processTransfer(transfer, latestBlock, userAddresses) {
+  // Sweeps from user deposit addresses into the hot wallet are internal
+  if (userAddresses.has(transfer.from.toLowerCase())) {
+    logger.debug(`Skipping internal sweep transfer ${transfer.txHash}`);
+    return false;
+  }
+  
+  // Skip transfers already credited, e.g. through /confirm
+  const existing = await Transaction.findCreditedDeposit(transfer.txHash, transfer.logIndex);
+  
+  if (existing) {
+    logger.debug(`Transfer ${transfer.txHash} already credited as transaction #${existing.id}`);
+    return false;
+  }
+  
+  // Skip transfers already waiting for (or resolved by) an admin
+  const unmatched = await UnmatchedDeposit.findOne({
+    where: {
+      txHash: transfer.txHash,
+      logIndex: transfer.logIndex
+    }
+  });
+  
+  if (unmatched) {
+    logger.debug(`Transfer ${transfer.txHash} is already queued as unmatched deposit #${unmatched.id}`);
+    return false;
+  }
+  
+  const confirmations = blockchainService.countConfirmations(latestBlock, transfer.blockNumber);
+  
+  // Transfers to a dedicated address belong to its owner, whatever the amount
+  const ownerChatId = userAddresses.get(transfer.to.toLowerCase());
+  if (ownerChatId) {
+    const transaction = await depositService.creditDeposit(ownerChatId, transfer.amount, {
+      txHash: transfer.txHash,
+      logIndex: transfer.logIndex,
+      confirmations
+    });
+    if (!transaction) {
+      return false;
+    }
+    await depositService.notifyDepositCredited(transaction);
+    return true;
+  }
+  
+  // Transfers to the shared address are matched by their unique amount
+  const intent = await DepositIntent.findOpenByAmount(transfer.amount);
+  
+  if (!intent) {
+    await depositService.queueUnmatchedDeposit(transfer);
+    return false;
+  }
+  
+  const transaction = await depositService.creditDeposit(intent.chatId, intent.expectedAmount, {
+    txHash: transfer.txHash,
+    logIndex: transfer.logIndex,
+    confirmations,
+    intent
+  });
+  
+  if (!transaction) {
+    return false;
+  }
+  
+  await depositService.notifyDepositCredited(transaction);
+  
+  return true;
+}
+
+/**
+ * Get USDT transfers to the shared and per-user deposit addresses
+ * @param {number} fromBlock - First block to scan (inclusive)
+ * @param {number} toBlock - Last block to scan (inclusive)
+ * @param {Map} userAddresses - Map of lowercase deposit address to chat ID
+ * @returns {Promise<Array>} - Transfers ordered by block and log index
+ */
+async function getTransfers(fromBlock, toBlock, userAddresses) {
+  const recipients = [config.blockchain.depositAddress, ...userAddresses.keys()];
+  const transfers = [];
+  
+  for (let i = 0; i < recipients.length; i += RECIPIENTS_PER_QUERY) {
+    const chunk = recipients.slice(i, i + RECIPIENTS_PER_QUERY);
+    transfers.push(...await blockchainService.getDepositTransfers(fromBlock, toBlock, chunk));
+  }
+  
+  return transfers.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+/**
+ * Scan confirmed blocks for USDT transfers to our deposit addresses
+ * @returns {Promise<Object>} - Scan result
+ */
+async function scanDeposits() {
+  const latestBlock = await blockchainService.getBlockNumber();
+  
+  // Only scan blocks that already have the required confirmations
+  const safeBlock = latestBlock - config.transactions.minConfirmations + 1;
+  
+  let lastScanned = await SystemSetting.getValue(LAST_BLOCK_KEY);
+  if (lastScanned === null) {
+    lastScanned = config.scanner.startBlock !== null ? config.scanner.startBlock - 1 : safeBlock;
+    logger.info(`Deposit scanner starting after block ${lastScanned}`);
+  }
+  
+  const userAddresses = await getUserDepositAddresses();
+  let credited = 0;
+  
+  while (lastScanned < safeBlock) {
+    const fromBlock = lastScanned + 1;
+    const toBlock = Math.min(fromBlock + config.scanner.batchSize - 1, safeBlock);
+    
+    const transfers = await getTransfers(fromBlock, toBlock, userAddresses);
+    
+    for (const transfer of transfers) {
+      if (await processTransfer(transfer, latestBlock, userAddresses)) {
+        credited++;
+      }
+    }
+    
+    lastScanned = toBlock;
+    await SystemSetting.setValue(LAST_BLOCK_KEY, lastScanned);
+  }
+  
+  if (credited > 0) {
+    logger.info(`Deposit scanner credited ${credited} deposit(s), last scanned block: ${lastScanned}`);
+  }
+  
+  return {
+    lastScanned,
+    credited
+  };
+}
+
+module.exports = {
+  scanDeposits
+};
@@ -0,0 +1,178 @@
+const fs = require('fs').promises;
+const { ethers } = require('ethers');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Signer that delegates signing to a remote HTTP service holding the key.
+ *
+ * Protocol:
+ *   GET  {url}/address -> { address }
+ *   POST {url}/sign    { transaction: unsignedSerialized } -> { signedTx }
+ */
+class RemoteSigner extends ethers.AbstractSigner {
+  /**
+   * @param {string} url - Base URL of the signing service
+   * @param {string} address - Address of the remote key
+   * @param {ethers.Provider|null} provider - Provider to connect to
+   */
+  constructor(url, address, provider = null) {
+    super(provider);
+    this.url = url.replace(/\/+$/, '');
+    this.address = address;
+  }
+  
+  async getAddress() {
+    return this.address;
+  }
+  
+  connect(provider) {
+    return new RemoteSigner(this.url, this.address, provider);
+  }
+  
+  async signTransaction(tx) {
+    // An unsigned transaction may not define `from`; the remote key decides it
+    const unsigned = ethers.Transaction.from(tx instanceof ethers.Transaction ? tx : { ...tx, from: null });
+    
+    const { signedTx } = await remoteRequest(this.url, '/sign', { transaction: unsigned.unsignedSerialized });
+    const signed = ethers.Transaction.from(signedTx);
+    
+    // Never broadcast something other than what was asked for
+    if (signed.from !== this.address || signed.unsignedHash !== unsigned.unsignedHash) {
+      throw new Error('Remote signer returned a transaction that does not match the request');
+    }
+    
+    return signedTx;
+  }
+  
+  async signMessage() {
+    throw new Error('Remote signer only signs transactions');
+  }
+  
+  async signTypedData() {
+    throw new Error('Remote signer only signs transactions');
+  }
+}
+
+/**
+ * Call the remote signing service
+ * @param {string} url - Base URL of the signing service
+ * @param {string} path - Endpoint path
+ * @param {Object|null} body - JSON body (POST) or null (GET)
+ * @returns {Promise<Object>} - Parsed JSON response
+ */
+async function remoteRequest(url, path, body = null) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.signer.remoteToken) {
+    headers.Authorization = `Bearer ${config.signer.remoteToken}`;
+  }
+  
+  const response = await fetch(`${url}${path}`, {
+    method: body ? 'POST' : 'GET',
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(config.signer.remoteTimeoutMs)
+  });
+  
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`Remote signer responded ${response.status}: ${data.error || response.statusText}`);
+  }
+  
+  return data;
+}
+
+/**
+ * Read the keystore password, preferring a file so it stays out of the environment
+ * @returns {Promise<string>} - Keystore password
+ */
+async function readKeystorePassword() {
+  if (config.signer.keystorePasswordFile) {
+    const password = await fs.readFile(config.signer.keystorePasswordFile, 'utf8');
+    return password.trim();
+  }
+  
+  if (config.signer.keystorePassword) {
+    return config.signer.keystorePassword;
+  }
+  
+  throw new Error('Keystore signer needs SIGNER_KEYSTORE_PASSWORD_FILE or SIGNER_KEYSTORE_PASSWORD');
+}
+
+// Signer builders by SIGNER_TYPE; each resolves to an unconnected signer or null (read-only)
+const signerFactories = {
+  env: async () => {
+    if (!config.blockchain.privateKey) {
+      throw new Error('Env signer needs PRIVATE_KEY');
+    }
+    return new ethers.Wallet(config.blockchain.privateKey);
+  },
+  
+  keystore: async () => {
+    if (!config.signer.keystorePath) {
+      throw new Error('Keystore signer needs SIGNER_KEYSTORE_PATH');
+    }
+    const json = await fs.readFile(config.signer.keystorePath, 'utf8');
+    const password = await readKeystorePassword();
+    return await ethers.Wallet.fromEncryptedJson(json, password);
+  },
+  
+  remote: async () => {
+    if (!config.signer.remoteUrl) {
+      throw new Error('Remote signer needs SIGNER_REMOTE_URL');
+    }
+    const { address } = await remoteRequest(config.signer.remoteUrl, '/address');
+    return new RemoteSigner(config.signer.remoteUrl, ethers.getAddress(address));
+  },
+  
+  readonly: async () => null
+};
+
+let signer = null;
+let initialized = false;
+
+/**
+ * Create the configured hot wallet signer; call once at startup
+ * @returns {Promise<void>}
+ */
+async function initSigner() {
+  const factory = signerFactories[config.signer.type];
+  if (!factory) {
+    throw new Error(`Unknown SIGNER_TYPE "${config.signer.type}". Use env, keystore, remote or readonly`);
+  }
+  
+  signer = await factory();
+  initialized = true;
+  
+  if (signer) {
+    logger.info(`Hot wallet signer: ${config.signer.type} (${await signer.getAddress()})`);
+  } else {
+    logger.warn('Hot wallet signer: read-only, withdrawals, refunds and sweeps are disabled');
+  }
+}
+
+/**
+ * Get the hot wallet signer
+ * @returns {ethers.AbstractSigner|null} - Unconnected signer, or null in read-only mode
+ */
+function getSigner() {
+  if (!initialized) {
+    throw new Error('Hot wallet signer is not initialized');
+  }
+  return signer;
+}
+
+/**
+ * Check whether the hot wallet can sign transactions
+ * @returns {boolean} - False in read-only mode
+ */
+function canSign() {
+  return initialized && signer !== null;
+}
+
+module.exports = {
+  RemoteSigner,
+  initSigner,
+  getSigner,
+  canSign
+};
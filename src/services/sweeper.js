@@ -0,0 +1,88 @@
+const { Op } = require('sequelize');
+const Decimal = require('decimal.js');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const User = require('../models/User');
+const blockchainService = require('./blockchain');
+const hdWalletService = require('./hdwallet');
+
+/**
+ * Sweep a single user deposit address into the hot wallet
+ * @param {Object} user - User with a dedicated deposit address
+ * @returns {Promise<Object|null>} - Sweep result or null if nothing was swept
+ */
+async function sweepDepositAddress(user) {
+  const balances = await blockchainService.getAddressBalances(user.depositAddress);
+  
+  if (new Decimal(balances.usdt).lessThan(config.sweeper.minAmount)) {
+    return null;
+  }
+  
+  // The deposit address pays its own gas, so top it up from the hot wallet first
+  const gasCost = await blockchainService.estimateTransferGasCost(user.depositAddress);
+  if (new Decimal(balances.bnb).lessThan(gasCost)) {
+    const topUp = Decimal.max(gasCost, config.sweeper.gasAmount).toFixed(18);
+    await blockchainService.sendGas(user.depositAddress, topUp);
+  }
+  
+  const signer = hdWalletService.deriveWallet(user.derivationIndex);
+  const result = await blockchainService.sweepUsdt(signer);
+  
+  logger.info(`Swept ${result.amount} USDT from ${user.depositAddress} (user ${user.chatId}), tx hash: ${result.txHash}`);
+  
+  return result;
+}
+
+/**
+ * Consolidate funds from all user deposit addresses into the hot wallet
+ * @returns {Promise<Object>} - Sweep summary
+ */
+async function sweepDepositAddresses() {
+  if (!hdWalletService.canSign()) {
+    logger.debug('Sweeper skipped: HD wallet mnemonic is not configured');
+    return { swept: 0, total: '0' };
+  }
+  
+  // Gas top-ups are sent from the hot wallet
+  if (!blockchainService.canSign()) {
+    logger.debug('Sweeper skipped: hot wallet is read-only');
+    return { swept: 0, total: '0' };
+  }
+  
+  const users = await User.findAll({
+    where: {
+      depositAddress: {
+        [Op.ne]: null
+      }
+    }
+  });
+  
+  let swept = 0;
+  let total = new Decimal(0);
+  
+  for (const user of users) {
+    try {
+      const result = await sweepDepositAddress(user);
+      if (result) {
+        swept++;
+        total = total.plus(result.amount);
+      }
+    } catch (error) {
+      logger.error(`Failed to sweep deposit address ${user.depositAddress}:`, error);
+    }
+  }
+  
+  if (swept > 0) {
+    logger.info(`Sweeper consolidated ${total.toString()} USDT from ${swept} deposit address(es)`);
+  }
+  
+  return {
+    swept,
+    total: total.toString()
+  };
+}
+
+module.exports = {
+  sweepDepositAddress,
+  sweepDepositAddresses
+};
@@ -0,0 +1,112 @@
+const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const ledgerService = require('./ledger');
+const transitionService = require('./transitions');
+const notificationService = require('./notification');
+const { formatUSDT } = require('../utils/format');
+
+/**
+ * Find the recipient of a transfer
+ * @param {Object} recipient - { username } or { chatId }
+ * @returns {Promise<Object|null>} - User object or null
+ */
+async function findRecipient(recipient) {
+  if (recipient.username) {
+    return await User.findByUsername(recipient.username);
+  }
+  return await User.findByPk(recipient.chatId);
+}
+
+/**
+ * Describe a user for transfer messages
+ * @param {Object} user - User object
+ * @returns {string} - '@username' or the chat ID
+ */
+function describeUser(user) {
+  return user.username ? `@${user.username}` : user.chatId;
+}
+
+/**
+ * Move USDT from one user to another off-chain, debiting and crediting atomically
+ * @param {string} chatId - Sender's Telegram chat ID
+ * @param {string} amount - USDT amount
+ * @param {Object} recipient - { username } or { chatId }
+ * @returns {Promise<Object>} - Processing result
+ */
+async function sendTransfer(chatId, amount, recipient) {
+  try {
+    const sender = await User.findByPk(chatId);
+    if (!sender) {
+      return {
+        success: false,
+        error: 'User not found'
+      };
+    }
+    
+    const recipientUser = await findRecipient(recipient);
+    if (!recipientUser) {
+      return {
+        success: false,
+        error: 'Recipient not found. They need to start the bot first.'
+      };
+    }
+    
+    if (recipientUser.chatId === chatId) {
+      return {
+        success: false,
+        error: 'You cannot send USDT to yourself'
+      };
+    }
+    
+    const transaction = await sequelize.transaction(async (t) => {
+      const transferTx = await Transaction.createTransfer(chatId, recipientUser.chatId, amount, { transaction: t });
+      await transitionService.recordCreation(transferTx, {
+        actor: `user:${chatId}`,
+        reason: `Sent to ${recipientUser.chatId}`,
+        dbTransaction: t
+      });
+      await ledgerService.postTransfer(transferTx, t);
+      return transferTx;
+    });
+    
+    logger.info(`Transfer #${transaction.id}: ${formatUSDT(amount)} USDT from ${chatId} to ${recipientUser.chatId}`);
+    
+    const recipientBalance = await Transaction.getUserBalance(recipientUser.chatId);
+    
+    await notificationService.notifyUser(recipientUser.chatId, `
+📨 *USDT Received*
+
+💰 Amount: ${formatUSDT(amount)} USDT
+👤 From: \`${describeUser(sender)}\`
+🧾 Transaction ID: #${transaction.id}
+📊 Balance: ${formatUSDT(recipientBalance)} USDT
+    `);
+    
+    return {
+      success: true,
+      transaction,
+      recipient: recipientUser
+    };
+  } catch (error) {
+    // The sender's balance does not cover the transfer
+    if (error instanceof ledgerService.InsufficientBalanceError) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+    
+    logger.error(`Error sending transfer from user ${chatId}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  sendTransfer,
+  describeUser
+};
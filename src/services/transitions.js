@@ -0,0 +1,170 @@
+const { sequelize } = require('../config/database');
+const logger = require('../utils/logger');
+const Transaction = require('../models/Transaction');
+const TransactionEvent = require('../models/TransactionEvent');
+
+// Allowed status moves per transaction type: from -> [to]
+const TRANSITIONS = {
+  deposit: {
+    processing: ['completed', 'failed']
+  },
+  withdrawal: {
+    pending_approval: ['pending', 'failed'],
+    pending: ['processing', 'failed'],
+    processing: ['completed', 'failed']
+  },
+  exchange: {
+    pending: ['processing', 'completed', 'failed', 'cancelled'],
+    processing: ['completed', 'failed']
+  },
+  adjustment: {
+    pending: ['completed', 'failed']
+  },
+  buy: {
+    pending: ['processing', 'failed'],
+    processing: ['completed', 'failed']
+  }
+};
+
+// Statuses a transaction may be created in, per type
+const INITIAL_STATUSES = {
+  deposit: ['processing', 'completed'],
+  withdrawal: ['pending', 'pending_approval'],
+  exchange: ['pending'],
+  transfer: ['completed'],
+  adjustment: ['pending'],
+  refund: ['completed'],
+  buy: ['pending']
+};
+
+/**
+ * Thrown when a status change is not allowed for the transaction type
+ */
+class IllegalTransitionError extends Error {
+  /**
+   * @param {Object} transaction - Transaction
+   * @param {string|null} fromStatus - Current status
+   * @param {string} toStatus - Requested status
+   * @param {string} [detail] - Extra explanation
+   */
+  constructor(transaction, fromStatus, toStatus, detail = 'not allowed') {
+    super(`${transaction.type} #${transaction.id || 'new'}: ${fromStatus || 'new'} -> ${toStatus} is ${detail}`);
+    this.name = 'IllegalTransitionError';
+  }
+}
+
+/**
+ * Check whether a status move is allowed
+ * @param {string} type - Transaction type
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {boolean} - Whether the move is allowed
+ */
+function canTransition(type, fromStatus, toStatus) {
+  const allowed = (TRANSITIONS[type] || {})[fromStatus] || [];
+  return allowed.includes(toStatus);
+}
+
+/**
+ * Run a function in the given database transaction, or in a new one
+ * @param {Object|null} dbTransaction - Sequelize transaction
+ * @param {Function} fn - Function receiving the transaction
+ * @returns {Promise<*>} - Result of fn
+ */
+async function withTransaction(dbTransaction, fn) {
+  return dbTransaction ? await fn(dbTransaction) : await sequelize.transaction(fn);
+}
+
+/**
+ * Record the initial status of a newly created transaction
+ * @param {Object} transaction - Created transaction
+ * @param {Object} options - Event options
+ * @param {string} options.actor - 'system', 'admin' or 'user:<chatId>'
+ * @param {string} [options.reason] - Why it was created
+ * @param {Object} [options.dbTransaction] - Sequelize transaction the row was created in
+ * @returns {Promise<Object>} - Created event
+ */
+async function recordCreation(transaction, { actor, reason = null, dbTransaction = null }) {
+  if (!(INITIAL_STATUSES[transaction.type] || []).includes(transaction.status)) {
+    throw new IllegalTransitionError(transaction, null, transaction.status);
+  }
+  
+  return await TransactionEvent.create({
+    transactionId: transaction.id,
+    fromStatus: null,
+    toStatus: transaction.status,
+    actor,
+    reason
+  }, { transaction: dbTransaction });
+}
+
+/**
+ * Move a transaction to a new status and record who did it and why.
+ * Other fields changed on the instance are saved along with the status. The update
+ * only applies if the status is still the one read, so concurrent moves cannot both win.
+ * @param {Object} transaction - Transaction instance
+ * @param {string} toStatus - New status
+ * @param {Object} options - Event options
+ * @param {string} options.actor - 'system', 'admin' or 'user:<chatId>'
+ * @param {string} [options.reason] - Why the status changed
+ * @param {Object} [options.dbTransaction] - Sequelize transaction to run in
+ * @returns {Promise<Object>} - Updated transaction
+ * @throws {IllegalTransitionError} - If the move is not allowed or the status changed meanwhile
+ */
+async function transition(transaction, toStatus, { actor, reason = null, dbTransaction = null }) {
+  const fromStatus = transaction.status;
+  
+  if (!canTransition(transaction.type, fromStatus, toStatus)) {
+    throw new IllegalTransitionError(transaction, fromStatus, toStatus);
+  }
+  
+  transaction.status = toStatus;
+  const changedFields = transaction.changed() || [];
+  const values = {};
+  for (const field of changedFields) {
+    values[field] = transaction.get(field);
+  }
+  
+  try {
+    await withTransaction(dbTransaction, async (t) => {
+      const [count] = await Transaction.update(values, {
+        where: {
+          id: transaction.id,
+          status: fromStatus
+        },
+        transaction: t
+      });
+      
+      if (count !== 1) {
+        throw new IllegalTransitionError(transaction, fromStatus, toStatus, 'stale, the status was changed meanwhile');
+      }
+      
+      await TransactionEvent.create({
+        transactionId: transaction.id,
+        fromStatus,
+        toStatus,
+        actor,
+        reason
+      }, { transaction: t });
+    });
+  } catch (error) {
+    transaction.status = fromStatus;
+    throw error;
+  }
+  
+  // Already written above
+  for (const field of changedFields) {
+    transaction.changed(field, false);
+  }
+  
+  logger.debug(`Transaction #${transaction.id} ${fromStatus} -> ${toStatus} by ${actor}${reason ? `: ${reason}` : ''}`);
+  
+  return transaction;
+}
+
+module.exports = {
+  IllegalTransitionError,
+  canTransition,
+  recordCreation,
+  transition
+};
@@ -0,0 +1,755 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const Decimal = require('decimal.js');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const blockchainService = require('./blockchain');
+const ledgerService = require('./ledger');
+const transitionService = require('./transitions');
+const refundService = require('./refund');
+const notificationService = require('./notification');
+const { formatUSDT } = require('../utils/format');
+
+// ethers error codes that retrying cannot fix, e.g. a malformed recipient address
+const PERMANENT_SEND_ERRORS = ['INVALID_ARGUMENT', 'NUMERIC_FAULT', 'UNCONFIGURED_NAME'];
+
+/**
+ * Mark a withdrawal as failed and tell the user their funds are back
+ * @param {Object} transaction - Withdrawal transaction
+ * @param {string} reason - Failure reason
+ * @param {string} [actor] - Who failed it ('system' or 'admin')
+ * @returns {Promise<void>}
+ */
+async function failWithdrawal(transaction, reason, actor = 'system') {
+  const refund = await sequelize.transaction(async (t) => {
+    transaction.adminNotes = `Failed: ${reason}`;
+    await transitionService.transition(transaction, 'failed', {
+      actor,
+      reason,
+      dbTransaction: t
+    });
+    return await refundService.refundTransaction(transaction, reason, { actor, dbTransaction: t });
+  });
+  
+  logger.error(`Withdrawal #${transaction.id} failed: ${reason}`);
+  
+  const balance = await Transaction.getUserBalance(transaction.chatId);
+  
+  await notificationService.notifyUser(transaction.chatId, `
+❌ *Withdrawal Failed*
+
+🧾 Transaction ID: #${transaction.id}
+💰 Amount: ${formatUSDT(transaction.amount)} USDT
+❓ Reason: ${reason}
+
+The amount and fee have been returned to your balance.
+↩️ Refund: ${formatUSDT(refund.amount)} USDT (#${refund.id})
+📊 Balance: ${formatUSDT(balance)} USDT
+  `);
+}
+
+/**
+ * Queue a withdrawal and debit it from the user in one database transaction
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} amount - USDT amount
+ * @param {string} walletAddress - Recipient wallet address
+ * @param {string} fee - Withdrawal fee
+ * @param {string} status - 'pending', or 'pending_approval' to hold for an admin
+ * @returns {Promise<Object>} - Created withdrawal transaction
+ */
+async function createWithdrawal(chatId, amount, walletAddress, fee, status = 'pending') {
+  return await sequelize.transaction(async (t) => {
+    const transaction = await Transaction.createWithdrawal(chatId, amount, walletAddress, fee, status, { transaction: t });
+    await transitionService.recordCreation(transaction, {
+      actor: `user:${chatId}`,
+      reason: status === 'pending_approval' ? 'Held for admin approval' : 'Requested by user',
+      dbTransaction: t
+    });
+    await ledgerService.postWithdrawal(transaction, t);
+    return transaction;
+  });
+}
+
+/**
+ * Get the hashes broadcast for a withdrawal, oldest first
+ * @param {Object} transaction - Withdrawal transaction
+ * @returns {Array} - Array of { hash, kind, sentAt }
+ */
+function getBroadcasts(transaction) {
+  if (transaction.broadcasts && transaction.broadcasts.length > 0) {
+    return transaction.broadcasts;
+  }
+  
+  // Withdrawals sent before replacements were tracked only have the one hash
+  return [{ hash: transaction.txHash, kind: 'original', sentAt: transaction.updatedAt }];
+}
+
+/**
+ * Make a signed transaction the current one of a withdrawal and add it to its history
+ * @param {Object} transaction - Withdrawal transaction
+ * @param {Object} signed - Transaction hash and signed raw transaction
+ * @param {string} kind - 'original', 'speed_up' or 'cancel'
+ */
+function recordBroadcast(transaction, signed, kind) {
+  transaction.txHash = signed.hash;
+  transaction.signedTx = signed.signedTx;
+  transaction.broadcasts = [
+    ...(transaction.broadcasts || []),
+    { hash: signed.hash, kind, sentAt: new Date().toISOString() }
+  ];
+  transaction.stuckAlertedAt = null;
+}
+
+/**
+ * Sign, record and broadcast a queued withdrawal
+ * @param {Object} transaction - Pending withdrawal transaction
+ * @returns {Promise<void>}
+ */
+async function sendWithdrawal(transaction) {
+  logger.info(`Processing withdrawal: ${transaction.id}`);
+  
+  let signed;
+  
+  try {
+    const nonce = await blockchainService.reserveNonce();
+    signed = await blockchainService.signUsdtTransfer(transaction.walletAddress, transaction.amount, nonce);
+    
+    // Persist before broadcasting so a crash can always be resumed
+    transaction.nonce = nonce;
+    recordBroadcast(transaction, signed, 'original');
+    await transitionService.transition(transaction, 'processing', {
+      actor: 'system',
+      reason: `Signed with nonce ${nonce}`
+    });
+  } catch (error) {
+    // Nothing was broadcast, so the nonce is still free
+    blockchainService.resetNonce();
+    
+    if (PERMANENT_SEND_ERRORS.includes(error.code)) {
+      await failWithdrawal(transaction, error.message);
+      return;
+    }
+    
+    // RPC or remote signer timeouts and the like: still pending, the next worker tick retries it
+    logger.warn(`Signing withdrawal #${transaction.id} failed, will retry: ${error.message}`);
+    return;
+  }
+  
+  try {
+    await blockchainService.broadcastTransaction(signed.signedTx);
+  } catch (error) {
+    // The confirmation check rebroadcasts or fails it on the next run
+    logger.warn(`Broadcast of withdrawal #${transaction.id} failed, will retry: ${error.message}`);
+    return;
+  }
+  
+  logger.info(`Withdrawal transaction sent: ${transaction.txHash}`);
+  
+  await notificationService.notifyUser(transaction.chatId, `
+📡 *Withdrawal Broadcast*
+
+🧾 Transaction ID: #${transaction.id}
+💰 Amount: ${formatUSDT(transaction.amount)} USDT
+📬 Address: \`${transaction.walletAddress}\`
+🔗 TX Hash: \`${transaction.txHash}\`
+
+You'll be notified once it is confirmed.
+  `);
+}
+
+/**
+ * Follow up on a broadcast withdrawal until it is confirmed or failed
+ * @param {Object} transaction - Processing withdrawal transaction
+ * @returns {Promise<void>}
+ */
+async function checkWithdrawal(transaction) {
+  let pending = false;
+  
+  // Any of the hashes sharing the nonce may be the one that gets mined; newest first
+  for (const broadcast of [...getBroadcasts(transaction)].reverse()) {
+    const status = await blockchainService.getTransactionStatus(broadcast.hash);
+    
+    if (status.state === 'mined' || status.state === 'reverted') {
+      await settleWithdrawal(transaction, broadcast, status);
+      return;
+    }
+    
+    if (status.state === 'pending') {
+      pending = true;
+    }
+  }
+  
+  if (!pending) {
+    if (!transaction.signedTx) {
+      await failWithdrawal(transaction, 'Interrupted before it was broadcast');
+      return;
+    }
+    
+    // The node never saw it (e.g. crash before broadcast); resend while the nonce is still free
+    const confirmedNonce = await blockchainService.getConfirmedNonce();
+    
+    if (confirmedNonce > transaction.nonce) {
+      // A lagging or different node may just not know the receipt yet, so never refund here
+      await holdWithdrawal(transaction);
+      return;
+    }
+    
+    logger.info(`Rebroadcasting withdrawal #${transaction.id} with nonce ${transaction.nonce}`);
+    try {
+      await blockchainService.broadcastTransaction(transaction.signedTx);
+    } catch (error) {
+      logger.warn(`Rebroadcast of withdrawal #${transaction.id} failed: ${error.message}`);
+    }
+  }
+  
+  await checkStuck(transaction);
+}
+
+/**
+ * Keep a withdrawal whose nonce was used without a known receipt processing and alert admin once
+ * @param {Object} transaction - Processing withdrawal transaction
+ * @returns {Promise<void>}
+ */
+async function holdWithdrawal(transaction) {
+  if (transaction.nonceConflictAt) {
+    return;
+  }
+  
+  transaction.nonceConflictAt = new Date();
+  await transaction.save();
+  
+  logger.warn(`Withdrawal #${transaction.id} held: nonce ${transaction.nonce} is used but none of its hashes has a receipt`);
+  
+  const hashes = getBroadcasts(transaction).map(broadcast => `\`${broadcast.hash}\``).join('\n');
+  
+  await notificationService.notifyAdmin(`
+⚠️ *WITHDRAWAL HELD*
+
+*Transaction ID:* #${transaction.id}
+*User:* ${transaction.chatId}
+*Amount:* ${formatUSDT(transaction.amount)} USDT
+*Nonce:* ${transaction.nonce}
+
+The nonce is already used on-chain, but no receipt was found for any of its hashes:
+${hashes}
+
+It stays processing and completes by itself if a receipt shows up. If the hot wallet history shows another transaction took the nonce, fail and refund it with:
+/fail_withdrawal ${transaction.id} [reason]
+  `);
+}
+
+/**
+ * Fail and refund a held withdrawal after admin checked none of its hashes was mined (admin action)
+ * @param {number} transactionId - Transaction ID
+ * @param {string} reason - Failure reason shown to the user
+ * @param {string} adminChatId - Acting admin's chat ID
+ * @returns {Promise<Object>} - Processing result
+ */
+async function failHeldWithdrawal(transactionId, reason, adminChatId) {
+  try {
+    const transaction = await Transaction.findByPk(transactionId);
+    
+    if (!transaction || transaction.type !== 'withdrawal' || transaction.status !== 'processing' || !transaction.nonceConflictAt) {
+      return {
+        success: false,
+        error: 'Held withdrawal not found'
+      };
+    }
+    
+    // Re-check every hash once more before the user is paid back
+    for (const broadcast of getBroadcasts(transaction)) {
+      const status = await blockchainService.getTransactionStatus(broadcast.hash);
+      if (status.state !== 'unknown') {
+        return {
+          success: false,
+          error: `Hash ${broadcast.hash} is ${status.state}, the withdrawal will settle by itself`
+        };
+      }
+    }
+    
+    await failWithdrawal(transaction, reason, `admin:${adminChatId}`);
+    
+    return {
+      success: true,
+      transaction
+    };
+  } catch (error) {
+    logger.error(`Error failing held withdrawal ${transactionId}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Finish a withdrawal once one of its hashes is mined
+ * @param {Object} transaction - Processing withdrawal transaction
+ * @param {Object} broadcast - The mined broadcast ({ hash, kind, sentAt })
+ * @param {Object} status - On-chain state and confirmations
+ * @returns {Promise<void>}
+ */
+async function settleWithdrawal(transaction, broadcast, status) {
+  transaction.txHash = broadcast.hash;
+  
+  if (status.state === 'reverted') {
+    await failWithdrawal(transaction, 'Transaction reverted on the blockchain');
+    return;
+  }
+  
+  if (status.confirmations < config.transactions.minConfirmations) {
+    return;
+  }
+  
+  if (broadcast.kind === 'cancel') {
+    await failWithdrawal(transaction, 'Cancelled by the administrator', 'admin');
+    return;
+  }
+  
+  transaction.completedAt = new Date();
+  transaction.confirmations = status.confirmations;
+  await transitionService.transition(transaction, 'completed', {
+    actor: 'system',
+    reason: `Mined with ${status.confirmations} confirmations`
+  });
+  
+  logger.info(`Withdrawal completed: ${transaction.id}, tx hash: ${transaction.txHash}`);
+  
+  const balance = await Transaction.getUserBalance(transaction.chatId);
+  
+  await notificationService.notifyUser(transaction.chatId, `
+✅ *Withdrawal Successful!*
+
+💰 Amount: ${formatUSDT(transaction.amount)} USDT
+📬 Address: \`${transaction.walletAddress}\`
+🔗 TX Hash: \`${transaction.txHash}\`
+💸 Fee: ${formatUSDT(transaction.fee)} USDT
+📊 Balance: ${formatUSDT(balance)} USDT
+
+Thank you for using Hive Exchange Bot!
+  `);
+}
+
+/**
+ * Alert admin once when the latest broadcast of a withdrawal stays unmined for too long
+ * @param {Object} transaction - Processing withdrawal transaction
+ * @returns {Promise<void>}
+ */
+async function checkStuck(transaction) {
+  const broadcasts = getBroadcasts(transaction);
+  const lastSentAt = new Date(broadcasts[broadcasts.length - 1].sentAt);
+  const stuckAfterMs = config.withdrawals.stuckAfterMinutes * 60 * 1000;
+  
+  if (transaction.stuckAlertedAt || Date.now() - lastSentAt.getTime() < stuckAfterMs) {
+    return;
+  }
+  
+  transaction.stuckAlertedAt = new Date();
+  await transaction.save();
+  
+  logger.warn(`Withdrawal #${transaction.id} with nonce ${transaction.nonce} unmined since ${lastSentAt.toISOString()}`);
+  
+  await notificationService.notifyAdmin(formatStuckCard(transaction), {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text: '⚡ Speed Up', callback_data: `speed_up_withdrawal:${transaction.id}` },
+          { text: '🛑 Cancel', callback_data: `cancel_withdrawal:${transaction.id}` }
+        ]
+      ]
+    }
+  });
+}
+
+/**
+ * Format a stuck withdrawal card for admin
+ * @param {Object} transaction - Withdrawal transaction
+ * @returns {string} - Formatted card
+ */
+function formatStuckCard(transaction) {
+  const broadcasts = getBroadcasts(transaction);
+  
+  let message = `🐢 *WITHDRAWAL STUCK*\n\n`;
+  message += `*Transaction ID:* #${transaction.id}\n`;
+  message += `*User:* ${transaction.chatId}\n`;
+  message += `*Amount:* ${formatUSDT(transaction.amount)} USDT\n`;
+  message += `*Address:* \`${transaction.walletAddress}\`\n`;
+  message += `*Nonce:* ${transaction.nonce}\n`;
+  message += `*Latest hash:* \`${transaction.txHash}\`\n`;
+  message += `*Broadcasts:* ${broadcasts.length}\n`;
+  message += `*Last sent:* ${new Date(broadcasts[broadcasts.length - 1].sentAt).toLocaleString()}\n`;
+  message += `\nUse the buttons below or:\n`;
+  message += `/speed_up ${transaction.id}\n`;
+  message += `/cancel_withdrawal ${transaction.id}\n`;
+  
+  return message;
+}
+
+/**
+ * Worker tick: follow up on broadcast withdrawals, then send queued ones
+ * @returns {Promise<void>}
+ */
+async function processWithdrawalQueue() {
+  // Read-only deployments accept deposits only
+  if (!blockchainService.canSign()) {
+    return;
+  }
+  
+  const processing = await Transaction.findAll({
+    where: {
+      type: 'withdrawal',
+      status: 'processing'
+    },
+    order: [['nonce', 'ASC']]
+  });
+  
+  for (const transaction of processing) {
+    try {
+      await checkWithdrawal(transaction);
+    } catch (error) {
+      logger.error(`Error checking withdrawal #${transaction.id}:`, error);
+    }
+  }
+  
+  const pending = await Transaction.findAll({
+    where: {
+      type: 'withdrawal',
+      status: 'pending'
+    },
+    order: [['createdAt', 'ASC']],
+    limit: config.withdrawals.batchSize
+  });
+  
+  for (const transaction of pending) {
+    try {
+      await sendWithdrawal(transaction);
+    } catch (error) {
+      logger.error(`Error sending withdrawal #${transaction.id}:`, error);
+    }
+  }
+}
+
+/**
+ * Get broadcast withdrawals admin was alerted about as stuck
+ * @returns {Promise<Array>} - Array of transactions
+ */
+async function getStuckWithdrawals() {
+  return await Transaction.findAll({
+    where: {
+      type: 'withdrawal',
+      status: 'processing',
+      stuckAlertedAt: {
+        [Op.ne]: null
+      }
+    },
+    order: [['nonce', 'ASC']]
+  });
+}
+
+/**
+ * Replace the unmined transaction of a withdrawal using the same nonce and a higher fee (admin action)
+ * @param {number} transactionId - Transaction ID
+ * @param {boolean} cancel - Send a zero-value self-transfer instead of resending the transfer
+ * @returns {Promise<Object>} - Processing result
+ */
+async function replaceWithdrawal(transactionId, cancel) {
+  try {
+    const transaction = await Transaction.findByPk(transactionId);
+    
+    if (!transaction || transaction.type !== 'withdrawal') {
+      return {
+        success: false,
+        error: 'Withdrawal not found'
+      };
+    }
+    
+    if (transaction.status !== 'processing' || !transaction.signedTx) {
+      return {
+        success: false,
+        error: `Withdrawal has not been broadcast or is already final, current status: ${transaction.status}`
+      };
+    }
+    
+    // Once a cancel is out, speeding up bumps the cancel rather than reviving the transfer
+    const broadcasts = getBroadcasts(transaction);
+    const kind = cancel || broadcasts[broadcasts.length - 1].kind === 'cancel' ? 'cancel' : 'speed_up';
+    
+    const signed = await blockchainService.signReplacementTransaction(transaction.signedTx, {
+      cancel,
+      bumpPercent: config.withdrawals.gasBumpPercent
+    });
+    
+    // Persist before broadcasting so the worker watches the new hash even after a crash
+    const previous = {
+      txHash: transaction.txHash,
+      signedTx: transaction.signedTx,
+      broadcasts: transaction.broadcasts,
+      stuckAlertedAt: transaction.stuckAlertedAt
+    };
+    recordBroadcast(transaction, signed, kind);
+    await transaction.save();
+    
+    try {
+      await blockchainService.broadcastTransaction(signed.signedTx);
+    } catch (error) {
+      Object.assign(transaction, previous);
+      await transaction.save();
+      throw error;
+    }
+    
+    logger.info(`Withdrawal #${transaction.id} replaced (${kind}) with ${signed.hash}, nonce ${transaction.nonce}`);
+    
+    return {
+      success: true,
+      transaction,
+      kind,
+      hash: signed.hash
+    };
+  } catch (error) {
+    logger.error(`Error replacing withdrawal ${transactionId}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Check whether withdrawals can be sent at all
+ * @returns {boolean} - False when the hot wallet is read-only
+ */
+function isEnabled() {
+  return blockchainService.canSign();
+}
+
+/**
+ * Check whether a withdrawal must be approved by an admin before sending
+ * @param {Object} user - User object
+ * @param {string} amount - USDT amount
+ * @returns {boolean} - Whether approval is required
+ */
+function requiresApproval(user, amount) {
+  return user.flagged || new Decimal(amount).greaterThan(config.transactions.withdrawalApprovalThreshold);
+}
+
+/**
+ * Format a withdrawal approval card for admin
+ * @param {Object} transaction - Withdrawal transaction
+ * @param {Object} user - User object
+ * @returns {string} - Formatted card
+ */
+function formatApprovalCard(transaction, user) {
+  let message = `🛂 *WITHDRAWAL APPROVAL REQUIRED*\n\n`;
+  message += `*Transaction ID:* #${transaction.id}\n`;
+  message += `*User:* ${user.username || 'No username'} (ID: ${user.chatId})\n`;
+  message += `*Amount:* ${formatUSDT(transaction.amount)} USDT\n`;
+  message += `*Fee:* ${formatUSDT(transaction.fee)} USDT\n`;
+  message += `*Address:* \`${transaction.walletAddress}\`\n`;
+  message += `*Requested:* ${new Date(transaction.createdAt).toLocaleString()}\n`;
+  
+  if (user.flagged) {
+    message += `*⚠️ Flagged user:* ${user.flagReason || 'No reason given'}\n`;
+  }
+  
+  message += `\nUse the buttons below or:\n`;
+  message += `/approve_withdrawal ${transaction.id}\n`;
+  message += `/reject_withdrawal ${transaction.id} [reason]\n`;
+  
+  return message;
+}
+
+/**
+ * Send the approval card of a withdrawal to the admin chat
+ * @param {Object} transaction - Withdrawal transaction
+ * @param {Object} user - User object
+ * @returns {Promise<void>}
+ */
+async function requestApproval(transaction, user) {
+  logger.info(`Withdrawal #${transaction.id} of ${formatUSDT(transaction.amount)} USDT held for admin approval`);
+  
+  await notificationService.notifyAdmin(formatApprovalCard(transaction, user), {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text: '✅ Approve', callback_data: `approve_withdrawal:${transaction.id}` },
+          { text: '❌ Reject', callback_data: `reject_withdrawal:${transaction.id}` }
+        ]
+      ]
+    }
+  });
+}
+
+/**
+ * Get withdrawals awaiting admin approval
+ * @returns {Promise<Array>} - Array of { transaction, user }
+ */
+async function getPendingApprovals() {
+  const transactions = await Transaction.findAll({
+    where: {
+      type: 'withdrawal',
+      status: 'pending_approval'
+    },
+    order: [['createdAt', 'ASC']]
+  });
+  
+  const results = [];
+  for (const transaction of transactions) {
+    const user = await User.findByPk(transaction.chatId);
+    results.push({
+      transaction,
+      user
+    });
+  }
+  
+  return results;
+}
+
+/**
+ * Find a withdrawal that is awaiting approval
+ * @param {number} transactionId - Transaction ID
+ * @returns {Promise<Object>} - Lookup result
+ */
+async function findPendingApproval(transactionId) {
+  const transaction = await Transaction.findByPk(transactionId);
+  
+  if (!transaction) {
+    return {
+      success: false,
+      error: 'Transaction not found'
+    };
+  }
+  
+  if (transaction.type !== 'withdrawal') {
+    return {
+      success: false,
+      error: 'Not a withdrawal transaction'
+    };
+  }
+  
+  if (transaction.status !== 'pending_approval') {
+    return {
+      success: false,
+      error: `Withdrawal is not awaiting approval, current status: ${transaction.status}`
+    };
+  }
+  
+  return {
+    success: true,
+    transaction
+  };
+}
+
+/**
+ * Approve a held withdrawal so the worker sends it (admin action)
+ * @param {number} transactionId - Transaction ID
+ * @returns {Promise<Object>} - Processing result
+ */
+async function approveWithdrawal(transactionId) {
+  try {
+    const lookup = await findPendingApproval(transactionId);
+    if (!lookup.success) {
+      return lookup;
+    }
+    
+    const transaction = lookup.transaction;
+    transaction.adminNotes = 'Approved by administrator';
+    await transitionService.transition(transaction, 'pending', {
+      actor: 'admin',
+      reason: 'Approved'
+    });
+    
+    logger.info(`Withdrawal #${transaction.id} approved`);
+    
+    await notificationService.notifyUser(transaction.chatId, `
+✅ *Withdrawal Approved*
+
+Your withdrawal #${transaction.id} of ${formatUSDT(transaction.amount)} USDT has been approved and queued for sending.
+    `);
+    
+    return {
+      success: true,
+      transaction
+    };
+  } catch (error) {
+    logger.error(`Error approving withdrawal ${transactionId}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Reject a held withdrawal and return the funds to the user (admin action)
+ * @param {number} transactionId - Transaction ID
+ * @param {string} reason - Rejection reason shown to the user
+ * @returns {Promise<Object>} - Processing result
+ */
+async function rejectWithdrawal(transactionId, reason) {
+  try {
+    const lookup = await findPendingApproval(transactionId);
+    if (!lookup.success) {
+      return lookup;
+    }
+    
+    const transaction = lookup.transaction;
+    const refund = await sequelize.transaction(async (t) => {
+      transaction.adminNotes = `Rejected: ${reason}`;
+      await transitionService.transition(transaction, 'failed', {
+        actor: 'admin',
+        reason: `Rejected: ${reason}`,
+        dbTransaction: t
+      });
+      return await refundService.refundTransaction(transaction, `Rejected: ${reason}`, { actor: 'admin', dbTransaction: t });
+    });
+    
+    logger.info(`Withdrawal #${transaction.id} rejected: ${reason}`);
+    
+    const balance = await Transaction.getUserBalance(transaction.chatId);
+    
+    await notificationService.notifyUser(transaction.chatId, `
+❌ *Withdrawal Rejected*
+
+🧾 Transaction ID: #${transaction.id}
+💰 Amount: ${formatUSDT(transaction.amount)} USDT
+❓ Reason: ${reason}
+
+The amount and fee have been returned to your balance.
+↩️ Refund: ${formatUSDT(refund.amount)} USDT (#${refund.id})
+📊 Balance: ${formatUSDT(balance)} USDT
+
+Please contact support if you have any questions.
+    `);
+    
+    return {
+      success: true,
+      transaction,
+      refund
+    };
+  } catch (error) {
+    logger.error(`Error rejecting withdrawal ${transactionId}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  isEnabled,
+  createWithdrawal,
+  processWithdrawalQueue,
+  getBroadcasts,
+  getStuckWithdrawals,
+  replaceWithdrawal,
+  failHeldWithdrawal,
+  requiresApproval,
+  requestApproval,
+  getPendingApprovals,
+  approveWithdrawal,
+  rejectWithdrawal
+};
@@ -55,12 +55,60 @@ function formatStatus(status) {
     'pending': '⏳ Pending',
     'completed': '✅ Completed',
     'failed': '❌ Failed',
-    'processing': '🔄 Processing'
+    'cancelled': '🚫 Cancelled',
+    'processing': '🔄 Processing',
+    'pending_approval': '🛂 Awaiting Approval',
+    'credited': '✅ Credited',
+    'partially_credited': '🌓 Partially Credited',
+    'refunded': '↩️ Refunded'
   };
   
   return statusMap[status] || status;
 }
 
+/**
+ * Format transaction type with emoji
+ * @param {string} type - Transaction type
+ * @returns {string} - Formatted type with emoji
+ */
+function formatType(type) {
+  const typeMap = {
+    'deposit': '📥 Deposit',
+    'withdrawal': '📤 Withdrawal',
+    'exchange': '💱 Exchange',
+    'transfer': '📨 Transfer',
+    'adjustment': '🛠 Adjustment',
+    'refund': '↩️ Refund',
+    'buy': '🛒 Buy'
+  };
+  
+  return typeMap[type] || type;
+}
+
+/**
+ * Format fiat payout details of an exchange for the admin paying it out
+ * @param {Object} details - Payment details (Transaction.paymentDetails)
+ * @returns {string} - Formatted details, one field per line
+ */
+function formatPaymentDetails(details) {
+  if (!details) {
+    return 'Not provided\n';
+  }
+  
+  switch (details.method) {
+    case 'card':
+      return `💳 Card: \`${details.cardNumber}\`\n`;
+    case 'iban':
+      return `🏦 IBAN: \`${details.iban}\`\nHolder: ${details.holderName}\n`;
+    case 'swift':
+      return `🌍 SWIFT/BIC: \`${details.swiftCode}\`\nAccount: \`${details.accountNumber}\`\nBeneficiary: ${details.beneficiaryName}\n`;
+    case 'cash':
+      return `💵 Cash pickup: ${details.city}\n`;
+    default:
+      return `${JSON.stringify(details)}\n`;
+  }
+}
+
 /**
  * Create a transaction summary message
  * @param {Object} transaction - Transaction object
@@ -68,12 +116,29 @@ function formatStatus(status) {
  */
 function createTransactionSummary(transaction) {
   let summary = `🧾 *Transaction #${transaction.id}*\n`;
-  summary += `Type: ${transaction.type === 'deposit' ? '📥 Deposit' : transaction.type === 'withdrawal' ? '📤 Withdrawal' : '💱 Exchange'}\n`;
+  summary += `Type: ${formatType(transaction.type)}\n`;
   summary += `Status: ${formatStatus(transaction.status)}\n`;
   summary += `Amount: ${formatUSDT(transaction.amount)} USDT\n`;
   
-  if (transaction.type === 'exchange') {
+  if (transaction.type === 'exchange' || transaction.type === 'buy') {
     summary += `Fiat: ${formatFiat(transaction.fiatAmount)} ${transaction.fiatType}\n`;
+    
+    if (transaction.rate) {
+      summary += `Rate: ${transaction.rate} ${transaction.fiatType}/USDT\n`;
+    }
+  }
+  
+  if (transaction.type === 'transfer') {
+    summary += `From: ${transaction.chatId}\n`;
+    summary += `To: ${transaction.recipientChatId}\n`;
+  }
+  
+  if (transaction.type === 'adjustment') {
+    summary += `Reason: ${transaction.adminNotes}\n`;
+  }
+  
+  if (transaction.type === 'refund') {
+    summary += `Refund of: #${transaction.originalTransactionId}\n`;
   }
   
   if (transaction.txHash) {
@@ -94,5 +159,7 @@ module.exports = {
   formatFiat,
   formatDate,
   formatStatus,
+  formatType,
+  formatPaymentDetails,
   createTransactionSummary
 };
\ No newline at end of file
@@ -2,6 +2,43 @@ const z = require('zod');
 const { ethers } = require('ethers');
 const Decimal = require('decimal.js');
 
+/**
+ * Check a card number against the Luhn checksum
+ * @param {string} digits - Card number digits
+ * @returns {boolean} - Whether the checksum is valid
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Check an IBAN against its ISO 13616 mod-97 checksum
+ * @param {string} iban - IBAN without spaces, upper case
+ * @returns {boolean} - Whether the checksum is valid
+ */
+function passesIbanChecksum(iban) {
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  const numeric = rearranged.replace(/[A-Z]/g, (letter) => (letter.charCodeAt(0) - 55).toString());
+  
+  // Piecewise modulo, the number is too large for a double
+  let remainder = 0;
+  for (const digit of numeric) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
 // Define validation schemas
 const schemas = {
   // Address validation
@@ -29,13 +66,50 @@ const schemas = {
     { message: "Amount must be a positive number" }
   ),
   
+  // Signed amount validation (for adjustments)
+  signedAmount: z.string().refine(
+    (amount) => {
+      try {
+        return /^[+-]?\d+(\.\d+)?$/.test(amount) && !new Decimal(amount).isZero();
+      } catch (error) {
+        return false;
+      }
+    },
+    { message: "Amount must be a non-zero number" }
+  ),
+  
   // Fiat type validation
   fiatType: z.enum(['USD', 'UAH'], {
     errorMap: () => ({ message: "Fiat type must be either USD or UAH" }),
   }),
   
+  // Address book label validation
+  addressLabel: z.string().regex(
+    /^[A-Za-z0-9_-]{1,32}$/,
+    { message: "Label may only contain letters, digits, '_' and '-' (max 32)" }
+  ),
+  
+  // Payout method validation
+  cardNumber: z.string().regex(/^\d{16}$/, { message: "Card number must have 16 digits" }).refine(
+    passesLuhn,
+    { message: "Invalid card number" }
+  ),
+  
+  iban: z.string().regex(/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/, { message: "Invalid IBAN format" }).refine(
+    passesIbanChecksum,
+    { message: "Invalid IBAN checksum" }
+  ),
+  
+  swiftCode: z.string().regex(
+    /^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/,
+    { message: "Invalid SWIFT/BIC code" }
+  ),
+  
   // Username validation
-  username: z.string().min(5).max(32),
+  username: z.string().regex(
+    /^[A-Za-z0-9_]{5,32}$/,
+    { message: "Invalid Telegram username" }
+  ),
   
   // Command validation helpers
   withdrawCommand: z.string().refine(
@@ -46,12 +120,52 @@ const schemas = {
     { message: "Invalid format. Use: /withdraw amount,walletAddress" }
   ),
   
-  exchangeCommand: z.string().refine(
+  addAddressCommand: z.string().refine(
+    (cmd) => {
+      const parts = cmd.split(',');
+      return parts.length === 2 && parts[0].trim() !== '' && parts[1].trim() !== '';
+    },
+    { message: "Invalid format. Use: /add_address walletAddress,label" }
+  ),
+  
+  addPayoutCommand: z.string().refine(
+    (cmd) => {
+      const parts = cmd.split(',');
+      return parts.length >= 3 && parts.every(part => part.trim() !== '');
+    },
+    { message: "Invalid format. Use: /add_payout label,method,details" }
+  ),
+  
+  sendCommand: z.string().refine(
     (cmd) => {
       const parts = cmd.split(',');
       return parts.length === 2 && parts[0].trim() !== '' && parts[1].trim() !== '';
     },
-    { message: "Invalid format. Use: /exchange amount,fiatType" }
+    { message: "Invalid format. Use: /send amount,@username" }
+  ),
+  
+  adjustCommand: z.string().refine(
+    (cmd) => {
+      const parts = cmd.split(',');
+      return parts.length >= 3 && parts.every(part => part.trim() !== '');
+    },
+    { message: "Invalid format. Use: /adjust chatId,amount,reason" }
+  ),
+  
+  exchangeCommand: z.string().refine(
+    (cmd) => {
+      const parts = cmd.split(',');
+      return (parts.length === 2 || parts.length === 3) && parts.every(part => part.trim() !== '');
+    },
+    { message: "Invalid format. Use: /exchange amount,fiatType[,payoutLabel]" }
+  ),
+  
+  buyCommand: z.string().refine(
+    (cmd) => {
+      const parts = cmd.split(',');
+      return parts.length === 2 && parts.every(part => part.trim() !== '');
+    },
+    { message: "Invalid format. Use: /buy fiatAmount,fiatType" }
   )
 };
 
@@ -114,16 +228,36 @@ const validation = {
   },
   
   /**
-   * Parse withdraw command
+   * Validate address book label
+   * @param {string} label - Label to validate
+   * @returns {boolean} - Whether label is valid
+   */
+  isValidLabel: (label) => {
+    try {
+      schemas.addressLabel.parse(label);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+  
+  /**
+   * Parse withdraw command; the destination is a wallet address or an address book label
    * @param {string} command - Withdraw command to parse
-   * @returns {Object|null} - Parsed command or null if invalid
+   * @returns {Object|null} - Parsed command ({ amount, address } or { amount, label }) or null if invalid
    */
   parseWithdrawCommand: (command) => {
     try {
       schemas.withdrawCommand.parse(command);
-      const [amount, address] = command.split(',').map(part => part.trim());
-      if (validation.isValidAmount(amount) && validation.isValidAddress(address)) {
-        return { amount, address };
+      const [amount, destination] = command.split(',').map(part => part.trim());
+      if (!validation.isValidAmount(amount)) {
+        return null;
+      }
+      if (validation.isValidAddress(destination)) {
+        return { amount, address: destination };
+      }
+      if (validation.isValidLabel(destination)) {
+        return { amount, label: destination };
       }
       return null;
     } catch (error) {
@@ -132,16 +266,188 @@ const validation = {
   },
   
   /**
-   * Parse exchange command
-   * @param {string} command - Exchange command to parse
+   * Parse add address command
+   * @param {string} command - Add address command to parse
    * @returns {Object|null} - Parsed command or null if invalid
    */
+  parseAddAddressCommand: (command) => {
+    try {
+      schemas.addAddressCommand.parse(command);
+      const [address, label] = command.split(',').map(part => part.trim());
+      if (validation.isValidAddress(address) && validation.isValidLabel(label)) {
+        return { address, label };
+      }
+      return null;
+    } catch (error) {
+      return null;
+    }
+  },
+  
+  /**
+   * Validate card number (16 digits, Luhn checksum)
+   * @param {string} cardNumber - Card number, spaces allowed
+   * @returns {boolean} - Whether card number is valid
+   */
+  isValidCardNumber: (cardNumber) => {
+    try {
+      schemas.cardNumber.parse(cardNumber.replace(/\s/g, ''));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+  
+  /**
+   * Validate IBAN (format and mod-97 checksum)
+   * @param {string} iban - IBAN, spaces allowed
+   * @returns {boolean} - Whether IBAN is valid
+   */
+  isValidIban: (iban) => {
+    try {
+      schemas.iban.parse(iban.replace(/\s/g, '').toUpperCase());
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+  
+  /**
+   * Validate SWIFT/BIC code
+   * @param {string} code - SWIFT/BIC code
+   * @returns {boolean} - Whether code is valid
+   */
+  isValidSwiftCode: (code) => {
+    try {
+      schemas.swiftCode.parse(code.toUpperCase());
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+  
+  /**
+   * Parse add payout command:
+   * label,card,cardNumber | label,iban,IBAN,holderName | label,swift,BIC,accountNumber,beneficiaryName | label,cash,city
+   * @param {string} command - Add payout command to parse
+   * @returns {Object|null} - Parsed command ({ label, type, details }) or null if invalid
+   */
+  parseAddPayoutCommand: (command) => {
+    try {
+      schemas.addPayoutCommand.parse(command);
+      const [label, method, ...rest] = command.split(',').map(part => part.trim());
+      if (!validation.isValidLabel(label)) {
+        return null;
+      }
+      
+      const type = method.toLowerCase();
+      if (type === 'card' && rest.length === 1 && validation.isValidCardNumber(rest[0])) {
+        return { label, type, details: { cardNumber: rest[0].replace(/\s/g, '') } };
+      }
+      if (type === 'iban' && rest.length === 2 && validation.isValidIban(rest[0])) {
+        return { label, type, details: { iban: rest[0].replace(/\s/g, '').toUpperCase(), holderName: rest[1] } };
+      }
+      if (type === 'swift' && rest.length === 3 && validation.isValidSwiftCode(rest[0])) {
+        return { label, type, details: { swiftCode: rest[0].toUpperCase(), accountNumber: rest[1], beneficiaryName: rest[2] } };
+      }
+      if (type === 'cash' && rest.length === 1) {
+        return { label, type, details: { city: rest[0] } };
+      }
+      return null;
+    } catch (error) {
+      return null;
+    }
+  },
+  
+  /**
+   * Parse send command; the recipient is an @username or a chat ID
+   * @param {string} command - Send command to parse
+   * @returns {Object|null} - Parsed command ({ amount, username } or { amount, chatId }) or null if invalid
+   */
+  parseSendCommand: (command) => {
+    try {
+      schemas.sendCommand.parse(command);
+      const [amount, recipient] = command.split(',').map(part => part.trim());
+      if (!validation.isValidAmount(amount)) {
+        return null;
+      }
+      if (recipient.startsWith('@') && schemas.username.safeParse(recipient.slice(1)).success) {
+        return { amount, username: recipient.slice(1) };
+      }
+      if (/^\d+$/.test(recipient)) {
+        return { amount, chatId: recipient };
+      }
+      return null;
+    } catch (error) {
+      return null;
+    }
+  },
+  
+  /**
+   * Parse adjust command; the reason may contain commas
+   * @param {string} command - Adjust command to parse
+   * @returns {Object|null} - Parsed command ({ chatId, amount, reason }) or null if invalid
+   */
+  parseAdjustCommand: (command) => {
+    try {
+      schemas.adjustCommand.parse(command);
+      const [chatId, amount, ...reasonParts] = command.split(',').map(part => part.trim());
+      if (/^\d+$/.test(chatId) && schemas.signedAmount.safeParse(amount).success) {
+        return { chatId, amount, reason: reasonParts.join(', ') };
+      }
+      return null;
+    } catch (error) {
+      return null;
+    }
+  },
+  
+  /**
+   * Parse exchange command; the payout method label is optional
+   * @param {string} command - Exchange command to parse
+   * @returns {Object|null} - Parsed command ({ amount, fiatType, payoutLabel }) or null if invalid
+   */
   parseExchangeCommand: (command) => {
     try {
       schemas.exchangeCommand.parse(command);
-      const [amount, fiatType] = command.split(',').map(part => part.trim());
+      const [amount, fiatType, payoutLabel = null] = command.split(',').map(part => part.trim());
+      if (payoutLabel && !validation.isValidLabel(payoutLabel)) {
+        return null;
+      }
       if (validation.isValidAmount(amount) && validation.isValidFiatType(fiatType)) {
-        return { amount, fiatType: fiatType.toUpperCase() };
+        return { amount, fiatType: fiatType.toUpperCase(), payoutLabel };
+      }
+      return null;
+    } catch (error) {
+      return null;
+    }
+  },
+  
+  /**
+   * Parse a spread: a fixed fiat amount per USDT, or a percentage of the mid rate when suffixed with %
+   * @param {string} value - Spread to parse (e.g. "0.5" or "1.5%")
+   * @returns {Object|null} - Parsed spread ({ spreadType, spread }) or null if invalid
+   */
+  parseSpread: (value) => {
+    const match = /^(\d+(?:\.\d+)?)\s*(%?)$/.exec(value.trim());
+    if (!match) {
+      return null;
+    }
+    if (match[2] && new Decimal(match[1]).greaterThanOrEqualTo(100)) {
+      return null;
+    }
+    return { spreadType: match[2] ? 'percent' : 'fixed', spread: match[1] };
+  },
+  
+  /**
+   * Parse buy command; the amount is the fiat the user pays
+   * @param {string} command - Buy command to parse
+   * @returns {Object|null} - Parsed command ({ fiatAmount, fiatType }) or null if invalid
+   */
+  parseBuyCommand: (command) => {
+    try {
+      schemas.buyCommand.parse(command);
+      const [fiatAmount, fiatType] = command.split(',').map(part => part.trim());
+      if (validation.isValidAmount(fiatAmount) && validation.isValidFiatType(fiatType)) {
+        return { fiatAmount, fiatType: fiatType.toUpperCase() };
       }
       return null;
     } catch (error) {